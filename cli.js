@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+// Jumpseat Fox - Command-line pay calculator
+// Prices trips with the same pay engine as the web page and prints the itemized breakdown.
+//
+//   node cli.js trip.json                one trip, a list of trips, or a backup from the app
+//   node cli.js trips.csv                spreadsheet export from the app, one trip per row
+//   node cli.js - < trip.json            read standard input
+//   --json                               print JSON instead of text
+//   --profile profile.json               crew profile: hire date, 401(k) and tax withholding
+
+const fs = require('fs');
+const path = require('path');
+const { payEngineHost, PAY_COMPONENT_LABELS, calculateTripPay, creditGuarantees, parseCsv, unescapeCsvCell, utils } = require('./pay-engine.js');
+
+const USAGE = 'Usage: node cli.js [--json] [--profile profile.json] <trip.json | trips.csv | ->';
+
+// Columns from the app's spreadsheet export; computed columns are recalculated, not read
+function tripsFromCsv(text) {
+    const [header, ...rows] = parseCsv(text);
+    if (!header) return [];
+    return rows.map(cells => {
+        const trip = {};
+        header.forEach((key, column) => {
+            const value = unescapeCsvCell((cells[column] || '').trim());
+            if (!key || key.startsWith('calc.') || value === '') return;
+            trip[key] = key === 'legs' || key === 'dutyPeriods' ? JSON.parse(value) : value;
+        });
+        return trip;
+    });
+}
+
+// A backup carries its own profile; otherwise the input is one trip or a list of them
+function readInput(fileName, text) {
+    const trimmed = text.trim();
+    if (path.extname(fileName).toLowerCase() === '.csv' || !/^[[{]/.test(trimmed)) {
+        return { trips: tripsFromCsv(text), profile: null };
+    }
+    const data = JSON.parse(trimmed);
+    if (Array.isArray(data)) return { trips: data, profile: null };
+    if (Array.isArray(data.trips)) return { trips: data.trips, profile: data.profile || null };
+    return { trips: [data], profile: null };
+}
+
+function formatTrip(trip, calc) {
+    const lines = [
+        `${trip.name || 'Unnamed Trip'} - ${calc.contractName}, ${calc.payYear}`,
+        `  Credit ${utils.formatHours(calc.creditedHours)}, TAFB ${utils.formatHours(calc.dutyHours)}, rate ${utils.formatCurrency(calc.effectiveRate)}/hr`
+    ];
+    if (calc.unknownStations && calc.unknownStations.length > 0) {
+        lines.push(`  Unknown stations ${calc.unknownStations.join(', ')}: their legs are left out of the totals and per diem`);
+    }
+    if (calc.creditGuarantee) lines.push(`  Credit from ${creditGuarantees.describe(calc.creditGuarantee)}`);
+    if (calc.creditedHours > calc.workedOutCreditHours + 0.005) lines.push(`  Printed credit over ${utils.formatHours(calc.workedOutCreditHours)} worked out`);
+    const item = (label, value) => `  ${label.padEnd(24)}${value.padStart(12)}`;
+
+    Object.entries(PAY_COMPONENT_LABELS).forEach(([key, label]) => {
+        if (calc[key] > 0) lines.push(item(label, utils.formatCurrency(calc[key])));
+    });
+    lines.push(item('Gross Pay', utils.formatCurrency(calc.totalGrossPay)));
+    if (calc.withholding && calc.withholding.isEstimated) {
+        lines.push(item('Withholding', `-${utils.formatCurrency(calc.withholding.total)}`));
+        lines.push(item('Net Pay (est.)', utils.formatCurrency(calc.netPayEstimate)));
+    }
+    lines.push(item('Per Credit Hour', utils.formatCurrency(calc.hourlyValue)));
+    lines.push(item('Per Day', utils.formatCurrency(calc.perDayValue)));
+    return lines.join('\n');
+}
+
+function main(args) {
+    const options = { json: false, profile: null, input: null };
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--json') options.json = true;
+        else if (args[i] === '--profile') options.profile = args[++i];
+        else if (args[i] === '--help' || args[i] === '-h') return console.log(USAGE);
+        else options.input = args[i];
+    }
+    if (!options.input) throw new Error(USAGE);
+
+    const text = fs.readFileSync(options.input === '-' ? 0 : options.input, 'utf8');
+    const { trips, profile } = readInput(options.input, text);
+    const profileData = options.profile ? JSON.parse(fs.readFileSync(options.profile, 'utf8')) : profile;
+    payEngineHost.getProfile = () => profileData || {};
+    payEngineHost.getTrips = () => trips;
+
+    const results = trips.map(trip => ({ trip, calc: calculateTripPay(trip) }));
+    if (options.json) {
+        console.log(JSON.stringify(results.map(({ trip, calc }) => ({ id: trip.id, name: trip.name, ...calc })), null, 2));
+    } else {
+        console.log(results.map(({ trip, calc }) => formatTrip(trip, calc)).join('\n\n'));
+    }
+}
+
+try {
+    main(process.argv.slice(2));
+} catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+}
@@ -0,0 +1,1377 @@
+// Jumpseat Fox - Pay engine
+// Contract tables and trip pay calculation with no DOM access, shared by the web page and Node.
+// In the browser this loads before script.js and its declarations are globals; in Node it is
+// a CommonJS module (see cli.js and the tests in tests/, run with `node --test tests/`).
+
+// What the engine reads from its host: the crew profile, and the trips that share the
+// annual 401(k) deferral limit. The web page points these at its state.
+const payEngineHost = {
+    getProfile: () => ({}),
+    getTrips: () => []
+};
+
+// Contract rate tables, oldest first. Add a new entry when a contract or raise takes
+// effect; a trip is priced with the latest table in force on its trip date. Later entries
+// list only what changed and take everything else from the entry before them.
+const CONTRACT_TABLES = [
+    {
+        name: 'Current Contract',
+        effectiveDate: null, // In force from the beginning
+        languageRate: 2.50,
+        intlOverrideRate: 2,
+        purserRates: { 'Narrow1': [1, 2], 'Narrow2': [2, 3], 'Wide': [3, 4] },
+        monthlyGuaranteeHours: 71,
+        // Reserves are paid guaranteeHours for a full month of fullMonthDays reserve days, prorated for fewer
+        reserveRules: { guaranteeHours: 75, fullMonthDays: 18 },
+        // Credit guarantees: one credit hour per dutyRigRatio hours on duty and per tripRigRatio
+        // hours of TAFB, and at least minimumDayHours for each duty period
+        creditRules: { dutyRigRatio: 2, tripRigRatio: 3.5, minimumDayHours: 5 },
+        // Advance mid-month at a fixed number of hours, settlement at month end for the rest of the
+        // month's flying. Components listed in arrearsComponents, and premiums flagged `arrears` in
+        // PREMIUM_RULES, are paid on the next month's settlement.
+        payCalendar: {
+            advanceDay: 15,
+            advanceHours: 35.5,
+            arrearsComponents: ['whiteFlagPay', 'purpleFlagPay', 'purserPay', 'perDiem', 'holidayPay']
+        },
+        // Holidays run midnight to midnight in the crew member's base time zone.
+        // Fixed-date holidays give month/day; floating ones give month, weekday (0 = Sunday) and nth (-1 = last).
+        holidays: [
+            { name: "New Year's Day", month: 1, day: 1 },
+            { name: 'Memorial Day', month: 5, weekday: 1, nth: -1 },
+            { name: 'Independence Day', month: 7, day: 4 },
+            { name: 'Labor Day', month: 9, weekday: 1, nth: 1 },
+            { name: 'Thanksgiving Day', month: 11, weekday: 4, nth: 4 },
+            { name: 'Christmas Eve', month: 12, day: 24 },
+            { name: 'Christmas Day', month: 12, day: 25 },
+            { name: "New Year's Eve", month: 12, day: 31 }
+        ],
+        payRates: {
+            "Year 1": { baseRate: 28.88, flagRate: 43.32 },
+            "Year 2": { baseRate: 30.64, flagRate: 45.96 },
+            "Year 3": { baseRate: 32.59, flagRate: 48.89 },
+            "Year 4": { baseRate: 34.71, flagRate: 52.07 },
+            "Year 5": { baseRate: 38.25, flagRate: 57.38 },
+            "Year 6": { baseRate: 43.30, flagRate: 64.95 },
+            "Year 7": { baseRate: 48.41, flagRate: 72.62 },
+            "Year 8": { baseRate: 49.96, flagRate: 74.94 },
+            "Year 9": { baseRate: 51.34, flagRate: 77.01 },
+            "Year 10": { baseRate: 53.26, flagRate: 79.89 },
+            "Year 11": { baseRate: 54.73, flagRate: 82.10 },
+            "Year 12": { baseRate: 57.33, flagRate: 86.00 },
+            "Year 13+": { baseRate: 67.11, flagRate: 100.67 }
+        }
+    },
+    {
+        name: 'January 2027 Increase',
+        effectiveDate: '2027-01-01',
+        languageRate: 2.75,
+        intlOverrideRate: 2.25,
+        purserRates: { 'Narrow1': [1.25, 2.25], 'Narrow2': [2.25, 3.25], 'Wide': [3.25, 4.25] },
+        payRates: {
+            "Year 1": { baseRate: 29.75, flagRate: 44.63 },
+            "Year 2": { baseRate: 31.56, flagRate: 47.34 },
+            "Year 3": { baseRate: 33.57, flagRate: 50.36 },
+            "Year 4": { baseRate: 35.75, flagRate: 53.63 },
+            "Year 5": { baseRate: 39.40, flagRate: 59.10 },
+            "Year 6": { baseRate: 44.60, flagRate: 66.90 },
+            "Year 7": { baseRate: 49.86, flagRate: 74.79 },
+            "Year 8": { baseRate: 51.46, flagRate: 77.19 },
+            "Year 9": { baseRate: 52.88, flagRate: 79.32 },
+            "Year 10": { baseRate: 54.86, flagRate: 82.29 },
+            "Year 11": { baseRate: 56.37, flagRate: 84.56 },
+            "Year 12": { baseRate: 59.05, flagRate: 88.57 },
+            "Year 13+": { baseRate: 69.12, flagRate: 103.68 }
+        }
+    },
+    {
+        name: 'January 2028 Increase',
+        effectiveDate: '2028-01-01',
+        payRates: {
+            "Year 1": { baseRate: 30.64, flagRate: 45.96 },
+            "Year 2": { baseRate: 32.51, flagRate: 48.77 },
+            "Year 3": { baseRate: 34.58, flagRate: 51.87 },
+            "Year 4": { baseRate: 36.82, flagRate: 55.23 },
+            "Year 5": { baseRate: 40.58, flagRate: 60.87 },
+            "Year 6": { baseRate: 45.94, flagRate: 68.91 },
+            "Year 7": { baseRate: 51.36, flagRate: 77.04 },
+            "Year 8": { baseRate: 53.00, flagRate: 79.50 },
+            "Year 9": { baseRate: 54.47, flagRate: 81.71 },
+            "Year 10": { baseRate: 56.51, flagRate: 84.77 },
+            "Year 11": { baseRate: 58.06, flagRate: 87.09 },
+            "Year 12": { baseRate: 60.82, flagRate: 91.23 },
+            "Year 13+": { baseRate: 71.19, flagRate: 106.79 }
+        }
+    }
+];
+
+// Premium pay, one entry per premium. The trip form, the calculation, the trip card and the
+// exports are all built from this list, so a new contract premium only needs an entry here.
+//   toggle        trip field the form switches between 'Yes' and 'No'
+//   input         hours/minutes input shown while the toggle is on, stored as <key>Hours and <key>Minutes
+//   hours         hours the premium pays on: 'credit', 'tafb' or 'input'
+//   rate          { baseRate: n } pays n times the hourly base rate; { table: key } pays the
+//                 contract table's hourly amount under that key
+//   flags         'itemized' pays the trip's flag premiums on it as separate components,
+//                 'included' folds them into the premium, 'none' ignores the flags
+//   specialHours  input hours count with purser hours against the credited hours
+//   arrears       paid on the next month's settlement instead of the month flown
+//   paystubPattern  paystub line labels that belong to the premium; itemized flag
+//                 components carry their own
+//   chartGroup    { key, label } of its own segment in the pay charts; premiums without one
+//                 are charted together as Other Premiums
+const PREMIUM_RULES = [
+    {
+        component: 'galleyPay',
+        label: 'Galley Pay',
+        toggle: 'galleyPay',
+        input: { key: 'galleyHours', label: 'Galley Hours' },
+        hours: 'input',
+        rate: { baseRate: 1 },
+        flags: 'itemized',
+        flagComponents: {
+            white: { key: 'galleyWhiteFlagPay', label: 'Galley White Flag', paystubPattern: /galley.*white|white.*galley/i },
+            purple: { key: 'galleyPurpleFlagPay', label: 'Galley Purple Flag', paystubPattern: /galley.*purple|purple.*galley/i }
+        },
+        specialHours: true,
+        arrears: true,
+        paystubPattern: /galley/i,
+        chartGroup: { key: 'galley', label: 'Galley' }
+    },
+    {
+        component: 'languagePay',
+        label: 'Language Pay',
+        toggle: 'languagePay',
+        hours: 'credit',
+        rate: { table: 'languageRate' },
+        flags: 'none',
+        arrears: true,
+        paystubPattern: /lang/i
+    },
+    {
+        component: 'intlOverridePay',
+        label: 'Intl Override',
+        formLabel: 'International Override',
+        tooltip: 'Outside the continental U.S. and Canada',
+        toggle: 'intlPayOverride',
+        hours: 'credit',
+        rate: { table: 'intlOverrideRate' },
+        flags: 'none',
+        arrears: true,
+        paystubPattern: /override|\bintl\b/i
+    }
+];
+
+// Per diem regions. Countries not listed fall in the default region.
+const PER_DIEM_REGIONS = {
+    domestic: {
+        name: 'Domestic',
+        // U.S., Canada, Mexico, Central America and the Caribbean
+        countries: ['US', 'CA', 'MX', 'GT', 'BZ', 'SV', 'HN', 'NI', 'CR', 'PA', 'BS', 'JM', 'DO', 'HT', 'PR',
+            'VI', 'AW', 'CW', 'BB', 'TC', 'KY', 'LC', 'AG', 'BM', 'TT', 'SX', 'KN', 'VG', 'GD', 'VC', 'DM', 'CU']
+    },
+    international: { name: 'International', countries: [], isDefault: true }
+};
+
+// Per diem rates per region, oldest first; a trip uses the latest schedule in force on its trip date.
+// countryRates overrides the region rate for individual countries.
+const PER_DIEM_SCHEDULE = [
+    {
+        effectiveDate: null, // In force from the beginning
+        rates: { domestic: 2.40, international: 2.90 },
+        countryRates: {}
+    }
+];
+
+// Federal withholding tables by tax year. Brackets give the top of each bracket
+// (taxable income after the standard deduction) and its marginal rate.
+const TAX_TABLES = [
+    {
+        year: 2025,
+        standardDeduction: { single: 15750, married: 31500, headOfHousehold: 23625 },
+        brackets: {
+            single: [[11925, 0.10], [48475, 0.12], [103350, 0.22], [197300, 0.24], [250525, 0.32], [626350, 0.35], [Infinity, 0.37]],
+            married: [[23850, 0.10], [96950, 0.12], [206700, 0.22], [394600, 0.24], [501050, 0.32], [751600, 0.35], [Infinity, 0.37]],
+            headOfHousehold: [[17000, 0.10], [64850, 0.12], [103350, 0.22], [197300, 0.24], [250500, 0.32], [626350, 0.35], [Infinity, 0.37]]
+        },
+        socialSecurity: { rate: 0.062, wageBase: 176100 },
+        medicare: { rate: 0.0145, additionalRate: 0.009, additionalThreshold: 200000 }
+    },
+    {
+        year: 2026,
+        standardDeduction: { single: 16100, married: 32200, headOfHousehold: 24150 },
+        brackets: {
+            single: [[12400, 0.10], [50400, 0.12], [105700, 0.22], [201775, 0.24], [256225, 0.32], [640600, 0.35], [Infinity, 0.37]],
+            married: [[24800, 0.10], [100800, 0.12], [211400, 0.22], [403550, 0.24], [512450, 0.32], [768700, 0.35], [Infinity, 0.37]],
+            headOfHousehold: [[17700, 0.10], [67450, 0.12], [105700, 0.22], [201750, 0.24], [256200, 0.32], [640600, 0.35], [Infinity, 0.37]]
+        },
+        socialSecurity: { rate: 0.062, wageBase: 184500 },
+        medicare: { rate: 0.0145, additionalRate: 0.009, additionalThreshold: 200000 }
+    }
+];
+
+// Contract table lookup and anniversary step increases
+const contractTables = {
+    // Dates are compared as 'YYYY-MM-DD' strings; an undated trip is priced as of today.
+    // Date objects use their local calendar date, so the evening is not already tomorrow.
+    toDateKey: date => {
+        if (date && typeof date === 'string') return date.slice(0, 10);
+        const day = date || new Date();
+        const pad = n => String(n).padStart(2, '0');
+        return `${day.getFullYear()}-${pad(day.getMonth() + 1)}-${pad(day.getDate())}`;
+    },
+
+    resolved: null,
+    
+    // Each table filled in from the ones before it, built once
+    getResolvedTables: () => {
+        if (!contractTables.resolved) {
+            contractTables.resolved = CONTRACT_TABLES.map((table, index) => CONTRACT_TABLES
+                .slice(0, index + 1)
+                .reduce((merged, entry) => ({ ...merged, ...entry }), {}));
+        }
+        return contractTables.resolved;
+    },
+    
+    getTableForDate: (date) => {
+        const dateKey = contractTables.toDateKey(date);
+        const tables = contractTables.getResolvedTables();
+        const inForce = tables.filter(table => !table.effectiveDate || table.effectiveDate <= dateKey);
+        return inForce.length > 0 ? inForce[inForce.length - 1] : tables[0];
+    },
+
+    // Completed years of service between the hire date and the given date
+    getYearsOfService: (hireDate, date) => {
+        const [hireYear, hireMonth, hireDay] = contractTables.toDateKey(hireDate).split('-').map(Number);
+        const [year, month, day] = contractTables.toDateKey(date).split('-').map(Number);
+        let years = year - hireYear;
+        if (month < hireMonth || (month === hireMonth && day < hireDay)) years--;
+        return Math.max(years, 0);
+    },
+
+    // Step moves up one pay year on each anniversary, topping out at the last step in the table
+    getStepForDate: (table, hireDate, date) => {
+        const steps = Object.keys(table.payRates);
+        const years = contractTables.getYearsOfService(hireDate, date);
+        return steps[Math.min(years, steps.length - 1)];
+    },
+
+    // Resolve the table and pay year a trip should be priced with; the profile's hire date,
+    // when set, steps the pay year instead of the trip's own
+    resolve: (tripData) => {
+        const table = contractTables.getTableForDate(tripData.tripDate);
+        const { hireDate } = payEngineHost.getProfile();
+        let payYear = tripData.payYear || 'Year 1';
+        if (hireDate) {
+            payYear = contractTables.getStepForDate(table, hireDate, tripData.tripDate);
+        }
+        if (!table.payRates[payYear]) payYear = Object.keys(table.payRates)[0];
+        return { table, payYear, payData: table.payRates[payYear] };
+    }
+};
+
+// Time zone helpers built on Intl, so DST transitions follow the browser's zone data
+const timeZones = {
+    // Common crew bases; the browser's own zone is added at the top of the list
+    BASE_ZONES: [
+        'America/New_York', 'America/Chicago', 'America/Denver', 'America/Phoenix',
+        'America/Los_Angeles', 'America/Anchorage', 'Pacific/Honolulu', 'America/Puerto_Rico', 'Pacific/Guam'
+    ],
+    
+    getDefaultZone: () => Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC',
+    
+    // Offset of the zone from UTC, in milliseconds, at the given instant
+    getOffset: (timeZone, instant) => {
+        const parts = {};
+        new Intl.DateTimeFormat('en-US', {
+            timeZone, hourCycle: 'h23',
+            year: 'numeric', month: '2-digit', day: '2-digit',
+            hour: '2-digit', minute: '2-digit', second: '2-digit'
+        }).formatToParts(new Date(instant)).forEach(part => { parts[part.type] = part.value; });
+        const asUTC = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour % 24, parts.minute, parts.second);
+        return asUTC - Math.floor(instant / 1000) * 1000;
+    },
+    
+    // 'YYYY-MM-DDTHH:MM' wall-clock time in a zone -> epoch milliseconds
+    toInstant: (localDateTime, timeZone) => {
+        if (!localDateTime) return NaN;
+        const wallClock = Date.parse(`${localDateTime.length === 10 ? `${localDateTime}T00:00` : localDateTime}:00Z`);
+        if (isNaN(wallClock)) return NaN;
+        if (!timeZone) return wallClock;
+        // Two passes settle the offset on either side of a DST change
+        let instant = wallClock - timeZones.getOffset(timeZone, wallClock);
+        instant = wallClock - timeZones.getOffset(timeZone, instant);
+        return instant;
+    },
+    
+    // Epoch milliseconds -> 'YYYY-MM-DD' calendar date in a zone
+    toLocalDate: (instant, timeZone) => new Date(instant + timeZones.getOffset(timeZone, instant)).toISOString().slice(0, 10),
+    
+    // IANA zone for a station code, the given zone when no station is given, and null for a
+    // station missing from STATIONS, whose times can't be placed
+    getStationZone: (code, fallbackZone) => {
+        const key = (code || '').trim().toUpperCase();
+        if (!key) return fallbackZone || timeZones.getDefaultZone();
+        return STATIONS[key] ? STATIONS[key].timeZone : null;
+    },
+    
+    // Wall-clock time at a station -> epoch milliseconds, NaN at an unknown station
+    toStationInstant: (localDateTime, code, fallbackZone) => {
+        const zone = timeZones.getStationZone(code, fallbackZone);
+        return zone ? timeZones.toInstant(localDateTime, zone) : NaN;
+    }
+};
+
+// Report and release times. Each is read in its station's zone when a station is given,
+// otherwise in the base time zone, so TAFB is right across zones, the date line and DST.
+// An unknown station leaves TAFB to be typed.
+const reportRelease = {
+    getBaseZone: tripData => tripData.baseTimeZone || timeZones.getDefaultZone(),
+    
+    getReportInstant: tripData => timeZones.toStationInstant(tripData.reportTime || '',
+        tripData.reportStation, reportRelease.getBaseZone(tripData)),
+    
+    getReleaseInstant: tripData => timeZones.toStationInstant(tripData.releaseTime || '',
+        tripData.releaseStation, reportRelease.getBaseZone(tripData)),
+    
+    // Elapsed hours from report to release, or null when either is missing or out of order
+    getTafbHours: (tripData) => {
+        if (!tripData.reportTime || !tripData.releaseTime) return null;
+        const hours = (reportRelease.getReleaseInstant(tripData) - reportRelease.getReportInstant(tripData)) / 3600000;
+        return isNaN(hours) || hours <= 0 ? null : hours;
+    },
+    
+    // Trip with its TAFB replaced by the report-to-release time
+    applyTo: (tripData) => {
+        const tafbHours = reportRelease.getTafbHours(tripData);
+        if (tafbHours === null) return tripData;
+        const tafb = utils.splitHM(tafbHours);
+        return { ...tripData, tafbHours: tafb.hours, tafbMinutes: tafb.minutes };
+    }
+};
+
+// Contract holiday calendar
+const holidayCalendar = {
+    // 'YYYY-MM-DD' date a holiday falls on in the given year
+    getDate: (holiday, year) => {
+        const pad = n => String(n).padStart(2, '0');
+        if (holiday.day) return `${year}-${pad(holiday.month)}-${pad(holiday.day)}`;
+        
+        const daysInMonth = new Date(Date.UTC(year, holiday.month, 0)).getUTCDate();
+        const matching = [];
+        for (let day = 1; day <= daysInMonth; day++) {
+            if (new Date(Date.UTC(year, holiday.month - 1, day)).getUTCDay() === holiday.weekday) matching.push(day);
+        }
+        const day = holiday.nth === -1 ? matching[matching.length - 1] : matching[holiday.nth - 1];
+        return `${year}-${pad(holiday.month)}-${pad(day)}`;
+    },
+    
+    // Hours of [start, end) that fall on each contract holiday, in the base time zone
+    getOverlaps: (start, end, timeZone, holidays) => {
+        if (isNaN(start) || isNaN(end) || end <= start) return [];
+        const firstYear = parseInt(timeZones.toLocalDate(start, timeZone).slice(0, 4));
+        const lastYear = parseInt(timeZones.toLocalDate(end, timeZone).slice(0, 4));
+        const overlaps = [];
+        
+        for (let year = firstYear; year <= lastYear; year++) {
+            holidays.forEach(holiday => {
+                const date = holidayCalendar.getDate(holiday, year);
+                const dayStart = timeZones.toInstant(date, timeZone);
+                const nextDay = new Date(Date.parse(`${date}T00:00:00Z`) + 86400000).toISOString().slice(0, 10);
+                const dayEnd = timeZones.toInstant(nextDay, timeZone);
+                const hours = (Math.min(end, dayEnd) - Math.max(start, dayStart)) / 3600000;
+                if (hours > 0) overlaps.push({ name: holiday.name, date, hours });
+            });
+        }
+        return overlaps.sort((a, b) => a.date.localeCompare(b.date));
+    },
+    
+    // Holiday hours for a trip with report and release times, or null for a hand-entered trip
+    forTrip: (tripData, table) => {
+        if (!tripData.reportTime || !tripData.releaseTime) return null;
+        return holidayCalendar.getOverlaps(
+            reportRelease.getReportInstant(tripData),
+            reportRelease.getReleaseInstant(tripData),
+            reportRelease.getBaseZone(tripData),
+            table.holidays || []
+        );
+    }
+};
+
+// Per diem by region: TAFB is split across the regions flown and paid at each region's rate
+const perDiemSchedule = {
+    getSchedule: (date) => {
+        const dateKey = contractTables.toDateKey(date);
+        const inForce = PER_DIEM_SCHEDULE.filter(entry => !entry.effectiveDate || entry.effectiveDate <= dateKey);
+        return inForce.length > 0 ? inForce[inForce.length - 1] : PER_DIEM_SCHEDULE[0];
+    },
+    
+    getRegion: (country) => {
+        const match = Object.entries(PER_DIEM_REGIONS).find(([, region]) => region.countries.includes(country));
+        return match ? match[0] : Object.keys(PER_DIEM_REGIONS).find(key => PER_DIEM_REGIONS[key].isDefault);
+    },
+    
+    // Region key and hourly rate for a station, or null for a station missing from STATIONS
+    getStationRate: (code, schedule) => {
+        const station = STATIONS[(code || '').trim().toUpperCase()];
+        if (!station) return null;
+        const { country } = station;
+        const region = perDiemSchedule.getRegion(country);
+        const rate = schedule.countryRates[country] !== undefined ? schedule.countryRates[country] : schedule.rates[region];
+        return { region, country, rate };
+    },
+    
+    // Hours per region from the legs: block time goes to the higher-paying end of each leg,
+    // ground time to the station the crew is on, report/release padding to the first/last station.
+    // Only complete legs count, so every station here has a rate; calculateTripPay reports the rest.
+    splitLegsByRegion: (tripData, schedule) => {
+        const baseTimeZone = tripData.baseTimeZone;
+        const legs = (tripData.legs || []).filter(legModel.isComplete)
+            .sort((a, b) => legModel.getOut(a, baseTimeZone) - legModel.getOut(b, baseTimeZone));
+        if (legs.length === 0) return null;
+        
+        const segments = [];
+        const addSegment = (stationRate, from, to) => {
+            const hours = (to - from) / 3600000;
+            if (hours > 0) segments.push({ ...stationRate, hours });
+        };
+        const higher = (a, b) => (b.rate > a.rate ? b : a);
+        
+        const report = reportRelease.getReportInstant(tripData);
+        if (!isNaN(report)) addSegment(perDiemSchedule.getStationRate(legs[0].origin, schedule), report, legModel.getOut(legs[0], baseTimeZone));
+        legs.forEach((leg, index) => {
+            const origin = perDiemSchedule.getStationRate(leg.origin, schedule);
+            const destination = perDiemSchedule.getStationRate(leg.destination, schedule);
+            addSegment(higher(origin, destination), legModel.getOut(leg, baseTimeZone), legModel.getIn(leg, baseTimeZone));
+            const next = legs[index + 1];
+            if (next) addSegment(destination, legModel.getIn(leg, baseTimeZone), legModel.getOut(next, baseTimeZone));
+        });
+        const lastLeg = legs[legs.length - 1];
+        const release = reportRelease.getReleaseInstant(tripData);
+        if (!isNaN(release)) addSegment(perDiemSchedule.getStationRate(lastLeg.destination, schedule), legModel.getIn(lastLeg, baseTimeZone), release);
+        return segments;
+    },
+    
+    // Per diem lines grouped by region (and by country where a country rate applies)
+    calculate: (tripData, dutyHours) => {
+        const schedule = perDiemSchedule.getSchedule(tripData.tripDate || (tripData.reportTime || '').slice(0, 10));
+        const segments = perDiemSchedule.splitLegsByRegion(tripData, schedule) || [{
+            // Total-only trips use the single international per diem toggle for the whole TAFB
+            region: tripData.intlOverride === 'Yes' ? 'international' : 'domestic',
+            rate: schedule.rates[tripData.intlOverride === 'Yes' ? 'international' : 'domestic'],
+            hours: dutyHours
+        }];
+        
+        const lines = {};
+        segments.forEach(segment => {
+            const isCountryRate = segment.country && schedule.countryRates[segment.country] !== undefined;
+            const key = isCountryRate ? `${segment.region}:${segment.country}` : segment.region;
+            if (!lines[key]) {
+                const regionName = PER_DIEM_REGIONS[segment.region].name;
+                lines[key] = { region: segment.region, name: isCountryRate ? `${regionName} (${segment.country})` : regionName, rate: segment.rate, hours: 0 };
+            }
+            lines[key].hours += segment.hours;
+        });
+        return Object.values(lines).map(line => ({ ...line, amount: line.hours * line.rate }));
+    }
+};
+
+// Take-home estimate. A trip is taxed at the margin on top of the crew member's other
+// expected wages for the year, so brackets and the Social Security wage base apply correctly.
+const taxEngine = {
+    FILING_STATUSES: { single: 'Single', married: 'Married filing jointly', headOfHousehold: 'Head of household' },
+    
+    getTable: (year) => {
+        const eligible = TAX_TABLES.filter(table => table.year <= year);
+        return eligible.length > 0 ? eligible[eligible.length - 1] : TAX_TABLES[0];
+    },
+    
+    // Federal income tax on a year's wages
+    getFederalTax: (table, filingStatus, wages) => {
+        let taxable = Math.max(wages - table.standardDeduction[filingStatus], 0);
+        let lowerBound = 0;
+        let tax = 0;
+        for (const [upperBound, rate] of table.brackets[filingStatus]) {
+            const inBracket = Math.min(taxable, upperBound - lowerBound);
+            if (inBracket <= 0) break;
+            tax += inBracket * rate;
+            taxable -= inBracket;
+            lowerBound = upperBound;
+        }
+        return tax;
+    },
+    
+    // FICA on the slice of wages from `priorWages` to `priorWages + wages`
+    getFica: (table, priorWages, wages) => {
+        const { socialSecurity, medicare } = table;
+        const ssWages = Math.max(Math.min(wages, socialSecurity.wageBase - priorWages), 0);
+        const additionalWages = Math.max(priorWages + wages - Math.max(medicare.additionalThreshold, priorWages), 0);
+        return {
+            socialSecurity: ssWages * socialSecurity.rate,
+            medicare: wages * medicare.rate + additionalWages * medicare.additionalRate
+        };
+    },
+    
+    // Itemized withholding for one trip, using the profile's tax settings. Per diem is not
+    // taxable wages; pre-tax retirement comes out before income tax but is still subject to FICA.
+    calculate: (settings, tripData, totalGrossPay, perDiem) => {
+        const wages = Math.max(totalGrossPay - perDiem, 0);
+        const retirement = retirementPlan.calculate(settings, wages, tripData);
+        const filingStatus = taxEngine.FILING_STATUSES[settings.filingStatus] ? settings.filingStatus : null;
+        const result = {
+            wages, retirement, federal: 0, socialSecurity: 0, medicare: 0, state: 0, flatTax: 0,
+            taxableWages: wages - retirement.preTax
+        };
+        
+        if (filingStatus) {
+            const year = parseInt(retirementPlan.getDateKey(tripData).slice(0, 4));
+            const table = taxEngine.getTable(year);
+            const priorWages = parseFloat(settings.annualWages) || 0;
+            result.federal = taxEngine.getFederalTax(table, filingStatus, priorWages + result.taxableWages) -
+                taxEngine.getFederalTax(table, filingStatus, priorWages);
+            Object.assign(result, taxEngine.getFica(table, priorWages, wages));
+            result.state = result.taxableWages * ((parseFloat(settings.stateTaxRate) || 0) / 100);
+        } else if (parseFloat(tripData.taxRate) > 0) {
+            // Trips saved before the tax engine carry a single flat rate
+            result.flatTax = result.taxableWages * (parseFloat(tripData.taxRate) / 100);
+        }
+        
+        result.total = retirement.deferral + result.federal + result.socialSecurity + result.medicare + result.state + result.flatTax;
+        result.isEstimated = !!filingStatus || retirement.deferral > 0 || result.flatTax > 0;
+        result.netPay = totalGrossPay - result.total;
+        return result;
+    }
+};
+
+// Crew member profile: hire date, retirement and tax settings shared by every trip
+const DEFAULT_PROFILE = {
+    hireDate: '',
+    retirementPercentage: '0',
+    rothPercentage: '0',
+    employerMatchRate: '0',
+    employerMatchCap: '0',
+    employerNonElective: '0',
+    annualDeferralLimit: '24500',
+    ytdDeferrals: '0',
+    filingStatus: '',
+    annualWages: '0',
+    stateTaxRate: '0'
+};
+
+// 401(k) deferrals and employer contributions, stopping at the annual deferral limit
+const retirementPlan = {
+    getSettings: () => ({ ...DEFAULT_PROFILE, ...payEngineHost.getProfile() }),
+    
+    // Calendar date a trip counts toward: trip date, else report date, else today
+    getDateKey: tripData => contractTables.toDateKey(tripData.tripDate || (tripData.reportTime || '').slice(0, 10)),
+    
+    ledger: null,
+    
+    // Running deferrals for the host's trips in one date-ordered pass: each trip's deferrals
+    // made earlier in its year, and the total after it. Built once per set of trips and settings.
+    getLedger: (settings) => {
+        const trips = payEngineHost.getTrips();
+        const today = contractTables.toDateKey();
+        const key = JSON.stringify(settings) + today;
+        const cached = retirementPlan.ledger;
+        if (cached && cached.key === key && cached.trips.length === trips.length &&
+            cached.trips.every((trip, index) => trip === trips[index])) {
+            return cached;
+        }
+        
+        const limit = parseFloat(settings.annualDeferralLimit) || Infinity;
+        const percentage = (parseFloat(settings.retirementPercentage) || 0) / 100;
+        const running = {};
+        const entries = trips
+            .map((trip, index) => ({ trip, index, dateKey: retirementPlan.getDateKey(trip) }))
+            .sort((a, b) => a.dateKey.localeCompare(b.dateKey) || a.index - b.index);
+        entries.forEach(entry => {
+            const year = entry.dateKey.slice(0, 4);
+            if (running[year] === undefined) running[year] = retirementPlan.getOpeningDeferrals(settings, year);
+            entry.prior = running[year];
+            const { wages } = calculateTripPay(entry.trip, { priorDeferrals: 0 }).withholding;
+            running[year] += Math.min(wages * percentage, Math.max(limit - running[year], 0));
+            entry.after = running[year];
+        });
+        
+        retirementPlan.ledger = {
+            key, trips: [...trips], entries,
+            byId: new Map(entries.filter(entry => entry.trip.id).map(entry => [entry.trip.id, entry]))
+        };
+        return retirementPlan.ledger;
+    },
+    
+    // The profile's year-to-date figure counts only toward the current year
+    getOpeningDeferrals: (settings, year) => (year === contractTables.toDateKey().slice(0, 4)
+        ? parseFloat(settings.ytdDeferrals) || 0
+        : 0),
+    
+    // Deferrals already made this year before the given trip: the profile's year-to-date
+    // figure plus every earlier trip in the same year, in date order. Trips that aren't the
+    // host's (what-ifs, shared trips) come after the host's trips on the same date.
+    getPriorDeferrals: (settings, tripData) => {
+        const ledger = retirementPlan.getLedger(settings);
+        const own = tripData.id ? ledger.byId.get(tripData.id) : null;
+        if (own) return own.prior;
+        
+        const dateKey = retirementPlan.getDateKey(tripData);
+        const year = dateKey.slice(0, 4);
+        const earlier = ledger.entries.filter(entry => entry.dateKey.slice(0, 4) === year && entry.dateKey <= dateKey);
+        return earlier.length > 0
+            ? earlier[earlier.length - 1].after
+            : retirementPlan.getOpeningDeferrals(settings, year);
+    },
+    
+    calculate: (settings, wages, tripData) => {
+        const percentage = (parseFloat(settings.retirementPercentage) || 0) / 100;
+        const requested = wages * percentage;
+        const limit = parseFloat(settings.annualDeferralLimit) || Infinity;
+        const priorDeferrals = requested > 0 && tripData.priorDeferrals === undefined
+            ? retirementPlan.getPriorDeferrals(settings, tripData)
+            : tripData.priorDeferrals || 0;
+        const deferral = Math.min(requested, Math.max(limit - priorDeferrals, 0));
+        const roth = deferral * ((parseFloat(settings.rothPercentage) || 0) / 100);
+        
+        // Match is a percentage of what was deferred, on deferrals up to the cap (% of pay)
+        const matchCapPercentage = parseFloat(settings.employerMatchCap) || 0;
+        const matchCap = matchCapPercentage > 0 ? wages * matchCapPercentage / 100 : Infinity;
+        const employerMatch = Math.min(deferral, matchCap) * ((parseFloat(settings.employerMatchRate) || 0) / 100);
+        const employerNonElective = wages * ((parseFloat(settings.employerNonElective) || 0) / 100);
+        
+        return {
+            requested, deferral, roth, preTax: deferral - roth,
+            employerMatch, employerNonElective, employerTotal: employerMatch + employerNonElective,
+            priorDeferrals, limitReached: deferral < requested
+        };
+    }
+};
+
+// Station reference data. Times at stations missing from this list can't be placed in a
+// time zone, so legs and report/release times there are flagged instead of guessed.
+const STATIONS = {
+    // United States
+    ATL: { country: 'US', timeZone: 'America/New_York' }, AUS: { country: 'US', timeZone: 'America/Chicago' },
+    BNA: { country: 'US', timeZone: 'America/Chicago' }, BOS: { country: 'US', timeZone: 'America/New_York' },
+    BWI: { country: 'US', timeZone: 'America/New_York' }, CLE: { country: 'US', timeZone: 'America/New_York' },
+    CLT: { country: 'US', timeZone: 'America/New_York' }, CMH: { country: 'US', timeZone: 'America/New_York' },
+    DCA: { country: 'US', timeZone: 'America/New_York' }, DEN: { country: 'US', timeZone: 'America/Denver' },
+    DFW: { country: 'US', timeZone: 'America/Chicago' }, DTW: { country: 'US', timeZone: 'America/Detroit' },
+    EWR: { country: 'US', timeZone: 'America/New_York' }, FLL: { country: 'US', timeZone: 'America/New_York' },
+    HNL: { country: 'US', timeZone: 'Pacific/Honolulu' }, IAD: { country: 'US', timeZone: 'America/New_York' },
+    IAH: { country: 'US', timeZone: 'America/Chicago' }, IND: { country: 'US', timeZone: 'America/Indiana/Indianapolis' },
+    JFK: { country: 'US', timeZone: 'America/New_York' }, LAS: { country: 'US', timeZone: 'America/Los_Angeles' },
+    LAX: { country: 'US', timeZone: 'America/Los_Angeles' }, LGA: { country: 'US', timeZone: 'America/New_York' },
+    MCI: { country: 'US', timeZone: 'America/Chicago' }, MCO: { country: 'US', timeZone: 'America/New_York' },
+    MDW: { country: 'US', timeZone: 'America/Chicago' }, MIA: { country: 'US', timeZone: 'America/New_York' },
+    MSP: { country: 'US', timeZone: 'America/Chicago' }, MSY: { country: 'US', timeZone: 'America/Chicago' },
+    OGG: { country: 'US', timeZone: 'Pacific/Honolulu' }, ORD: { country: 'US', timeZone: 'America/Chicago' },
+    PDX: { country: 'US', timeZone: 'America/Los_Angeles' }, PHL: { country: 'US', timeZone: 'America/New_York' },
+    PHX: { country: 'US', timeZone: 'America/Phoenix' }, PIT: { country: 'US', timeZone: 'America/New_York' },
+    RDU: { country: 'US', timeZone: 'America/New_York' }, SAN: { country: 'US', timeZone: 'America/Los_Angeles' },
+    SAT: { country: 'US', timeZone: 'America/Chicago' }, SEA: { country: 'US', timeZone: 'America/Los_Angeles' },
+    SFO: { country: 'US', timeZone: 'America/Los_Angeles' }, SJC: { country: 'US', timeZone: 'America/Los_Angeles' },
+    SJU: { country: 'US', timeZone: 'America/Puerto_Rico' }, SLC: { country: 'US', timeZone: 'America/Denver' },
+    SMF: { country: 'US', timeZone: 'America/Los_Angeles' }, STL: { country: 'US', timeZone: 'America/Chicago' },
+    TPA: { country: 'US', timeZone: 'America/New_York' }, ANC: { country: 'US', timeZone: 'America/Anchorage' },
+    GUM: { country: 'US', timeZone: 'Pacific/Guam' },
+    // Canada, Mexico, Central America and the Caribbean
+    YYZ: { country: 'CA', timeZone: 'America/Toronto' }, YVR: { country: 'CA', timeZone: 'America/Vancouver' },
+    YUL: { country: 'CA', timeZone: 'America/Toronto' }, YYC: { country: 'CA', timeZone: 'America/Edmonton' },
+    MEX: { country: 'MX', timeZone: 'America/Mexico_City' }, CUN: { country: 'MX', timeZone: 'America/Cancun' },
+    SJD: { country: 'MX', timeZone: 'America/Mazatlan' }, PVR: { country: 'MX', timeZone: 'America/Bahia_Banderas' },
+    GDL: { country: 'MX', timeZone: 'America/Mexico_City' }, SJO: { country: 'CR', timeZone: 'America/Costa_Rica' },
+    LIR: { country: 'CR', timeZone: 'America/Costa_Rica' }, GUA: { country: 'GT', timeZone: 'America/Guatemala' },
+    SAL: { country: 'SV', timeZone: 'America/El_Salvador' }, PTY: { country: 'PA', timeZone: 'America/Panama' },
+    NAS: { country: 'BS', timeZone: 'America/Nassau' }, MBJ: { country: 'JM', timeZone: 'America/Jamaica' },
+    PUJ: { country: 'DO', timeZone: 'America/Santo_Domingo' }, SDQ: { country: 'DO', timeZone: 'America/Santo_Domingo' },
+    AUA: { country: 'AW', timeZone: 'America/Aruba' }, STT: { country: 'VI', timeZone: 'America/St_Thomas' },
+    // Europe, Asia, Oceania, South America, Middle East and Africa
+    LHR: { country: 'GB', timeZone: 'Europe/London' }, CDG: { country: 'FR', timeZone: 'Europe/Paris' },
+    FRA: { country: 'DE', timeZone: 'Europe/Berlin' }, MUC: { country: 'DE', timeZone: 'Europe/Berlin' },
+    AMS: { country: 'NL', timeZone: 'Europe/Amsterdam' }, MAD: { country: 'ES', timeZone: 'Europe/Madrid' },
+    BCN: { country: 'ES', timeZone: 'Europe/Madrid' }, FCO: { country: 'IT', timeZone: 'Europe/Rome' },
+    DUB: { country: 'IE', timeZone: 'Europe/Dublin' }, ZRH: { country: 'CH', timeZone: 'Europe/Zurich' },
+    ATH: { country: 'GR', timeZone: 'Europe/Athens' }, LIS: { country: 'PT', timeZone: 'Europe/Lisbon' },
+    NRT: { country: 'JP', timeZone: 'Asia/Tokyo' }, HND: { country: 'JP', timeZone: 'Asia/Tokyo' },
+    ICN: { country: 'KR', timeZone: 'Asia/Seoul' }, PEK: { country: 'CN', timeZone: 'Asia/Shanghai' },
+    PVG: { country: 'CN', timeZone: 'Asia/Shanghai' }, HKG: { country: 'HK', timeZone: 'Asia/Hong_Kong' },
+    TPE: { country: 'TW', timeZone: 'Asia/Taipei' }, SIN: { country: 'SG', timeZone: 'Asia/Singapore' },
+    MNL: { country: 'PH', timeZone: 'Asia/Manila' }, DEL: { country: 'IN', timeZone: 'Asia/Kolkata' },
+    SYD: { country: 'AU', timeZone: 'Australia/Sydney' }, MEL: { country: 'AU', timeZone: 'Australia/Melbourne' },
+    AKL: { country: 'NZ', timeZone: 'Pacific/Auckland' }, GRU: { country: 'BR', timeZone: 'America/Sao_Paulo' },
+    GIG: { country: 'BR', timeZone: 'America/Sao_Paulo' }, EZE: { country: 'AR', timeZone: 'America/Argentina/Buenos_Aires' },
+    SCL: { country: 'CL', timeZone: 'America/Santiago' }, BOG: { country: 'CO', timeZone: 'America/Bogota' },
+    LIM: { country: 'PE', timeZone: 'America/Lima' }, TLV: { country: 'IL', timeZone: 'Asia/Jerusalem' },
+    DXB: { country: 'AE', timeZone: 'Asia/Dubai' }, DOH: { country: 'QA', timeZone: 'Asia/Qatar' },
+    JNB: { country: 'ZA', timeZone: 'Africa/Johannesburg' }, ACC: { country: 'GH', timeZone: 'Africa/Accra' }
+};
+
+// Utility functions
+const utils = {
+    formatCurrency: value => {
+            const num = parseFloat(value);
+        return isNaN(num) ? '$0.00' : '$' + num.toFixed(2);
+    },
+    
+    formatHours: hours => {
+        const totalMinutes = Math.round((hours || 0) * 60);
+        return `${Math.floor(totalMinutes / 60)}h ${totalMinutes % 60}m`;
+    },
+    
+    // Split decimal hours into whole hours and minutes for the hour/minute inputs
+    splitHM: hours => {
+        const totalMinutes = Math.round((hours || 0) * 60);
+        return { hours: String(Math.floor(totalMinutes / 60)), minutes: String(totalMinutes % 60) };
+    },
+    
+    parseHM: (hours, minutes) => {
+        const h = parseInt(hours) || 0;
+        const m = parseInt(minutes) || 0;
+        return h + (m / 60);
+    },
+    
+    generateId: () => Math.random().toString(36).substr(2, 9),
+    
+    getRandomColor: () => {
+        const colors = ['#3a36e0', '#ff9d00', '#00c48c', '#0084ff', '#7C3AED', '#0EA5E9', '#F97316', '#10B981', '#EC4899'];
+        return colors[Math.floor(Math.random() * colors.length)];
+    }
+};
+
+// Leg-level trip model. Leg times are 'YYYY-MM-DDTHH:MM' local to the station: out at the
+// origin, in at the destination. Legs to or from an unknown station are incomplete.
+const legModel = {
+    parseTime: (value, station, baseTimeZone) => timeZones.toStationInstant(value, station, baseTimeZone),
+    
+    getOut: (leg, baseTimeZone) => legModel.parseTime(leg.out, leg.origin, baseTimeZone),
+    
+    getIn: (leg, baseTimeZone) => legModel.parseTime(leg.in, leg.destination, baseTimeZone),
+    
+    isKnownStation: code => !!STATIONS[(code || '').trim().toUpperCase()],
+    
+    // Stations of the legs missing from STATIONS, each once
+    getUnknownStations: legs => [...new Set((legs || [])
+        .flatMap(leg => [leg.origin, leg.destination])
+        .filter(code => code && !legModel.isKnownStation(code))
+        .map(code => code.trim().toUpperCase()))],
+    
+    isComplete: leg => !!(legModel.isKnownStation(leg.origin) && legModel.isKnownStation(leg.destination) &&
+        !isNaN(legModel.parseTime(leg.out)) && !isNaN(legModel.parseTime(leg.in))),
+    
+    getBlockHours: (leg, baseTimeZone) => {
+        const hours = (legModel.getIn(leg, baseTimeZone) - legModel.getOut(leg, baseTimeZone)) / 3600000;
+        return isNaN(hours) ? 0 : Math.max(hours, 0);
+    },
+    
+    isUSStation: code => {
+        const station = STATIONS[(code || '').toUpperCase()];
+        return !!station && station.country === 'US';
+    },
+    
+    isUSLeg: leg => legModel.isUSStation(leg.origin) && legModel.isUSStation(leg.destination),
+    
+    // Block, TAFB, trip length and purser hour split from the legs; deadheads count only toward TAFB
+    deriveTotals: (legs, baseTimeZone) => {
+        const complete = (legs || []).filter(legModel.isComplete);
+        if (complete.length === 0) return null;
+        
+        const worked = complete.filter(leg => !leg.deadhead);
+        const sumBlock = list => list.reduce((sum, leg) => sum + legModel.getBlockHours(leg, baseTimeZone), 0);
+        const outs = complete.map(leg => ({ instant: legModel.getOut(leg, baseTimeZone), date: leg.out.slice(0, 10) }));
+        const ins = complete.map(leg => ({ instant: legModel.getIn(leg, baseTimeZone), date: leg.in.slice(0, 10) }));
+        const first = outs.reduce((a, b) => (b.instant < a.instant ? b : a));
+        const last = ins.reduce((a, b) => (b.instant > a.instant ? b : a));
+        
+        return {
+            blockHours: sumBlock(worked),
+            tafbHours: (last.instant - first.instant) / 3600000,
+            // Calendar days from the first local departure date to the last local arrival date
+            tripLength: Math.round((Date.parse(last.date) - Date.parse(first.date)) / 86400000) + 1,
+            purserUSHours: sumBlock(worked.filter(legModel.isUSLeg)),
+            purserNonUSHours: sumBlock(worked.filter(leg => !legModel.isUSLeg(leg)))
+        };
+    },
+    
+    // Trip with its hour totals replaced by the values derived from its legs
+    applyTo: (tripData) => {
+        const totals = legModel.deriveTotals(tripData.legs, tripData.baseTimeZone);
+        if (!totals) return tripData;
+        
+        const credit = utils.splitHM(totals.blockHours);
+        const tafb = utils.splitHM(totals.tafbHours);
+        return {
+            ...tripData,
+            creditedHoursHours: credit.hours,
+            creditedHoursMinutes: credit.minutes,
+            tafbHours: tafb.hours,
+            tafbMinutes: tafb.minutes,
+            tripLength: String(totals.tripLength),
+            purserUSHours: totals.purserUSHours.toFixed(2),
+            purserNonUSHours: totals.purserNonUSHours.toFixed(2)
+        };
+    },
+    
+    getRoute: legs => (legs || []).filter(legModel.isComplete)
+        .reduce((stations, leg, index) => (index === 0 ? [leg.origin, leg.destination] : [...stations, leg.destination]), [])
+        .join('–')
+};
+
+// Credit guarantees. Once duty periods are entered, each one is credited the greatest of its
+// block time, its duty rig and the minimum day, and the trip is credited the greater of those
+// together and its trip rig. Soft time is the credit beyond block time.
+const creditGuarantees = {
+    RULE_LABELS: { block: 'Block time', dutyRig: 'Duty rig', minimumDay: 'Minimum day', tripRig: 'Trip rig' },
+    
+    getDutyPeriods: tripData => (tripData.dutyPeriods || [])
+        .map(period => ({ dutyHours: parseFloat(period.dutyHours) || 0, blockHours: parseFloat(period.blockHours) || 0 }))
+        .filter(period => period.dutyHours > 0 || period.blockHours > 0),
+    
+    // Key of the largest value; earlier keys win ties
+    getWinner: values => Object.keys(values).reduce((best, key) => (values[key] > values[best] ? key : best)),
+    
+    // Null for trips without duty periods, which keep their typed credit
+    calculate: (tripData, table, tafbHours) => {
+        const rules = table.creditRules;
+        const periods = creditGuarantees.getDutyPeriods(tripData);
+        if (!rules || periods.length === 0) return null;
+        
+        const dutyPeriods = periods.map(period => {
+            const candidates = {
+                block: period.blockHours,
+                dutyRig: period.dutyHours / rules.dutyRigRatio,
+                minimumDay: rules.minimumDayHours
+            };
+            const rule = creditGuarantees.getWinner(candidates);
+            return { ...period, creditHours: candidates[rule], rule };
+        });
+        const sum = key => dutyPeriods.reduce((total, period) => total + period[key], 0);
+        const blockHours = sum('blockHours');
+        const dutyPeriodCredit = sum('creditHours');
+        const totals = {
+            block: blockHours,
+            dutyRig: sum('dutyHours') / rules.dutyRigRatio,
+            minimumDay: dutyPeriods.length * rules.minimumDayHours,
+            tripRig: tafbHours / rules.tripRigRatio
+        };
+        
+        // The trip rig when it wins, otherwise the duty period rule that added the most soft time
+        let rule = 'tripRig';
+        if (totals.tripRig <= dutyPeriodCredit) {
+            const softTime = { block: 0 };
+            dutyPeriods.forEach(period => {
+                softTime[period.rule] = (softTime[period.rule] || 0) + period.creditHours - period.blockHours;
+            });
+            rule = creditGuarantees.getWinner(softTime);
+        }
+        const creditHours = Math.max(dutyPeriodCredit, totals.tripRig);
+        return { creditHours, blockHours, softTime: creditHours - blockHours, rule, totals, dutyPeriods };
+    },
+    
+    describe: guarantee => (guarantee.softTime > 0.005
+        ? `${creditGuarantees.RULE_LABELS[guarantee.rule]}: ${utils.formatHours(guarantee.softTime)} soft time over ${utils.formatHours(guarantee.blockHours)} block`
+        : `${creditGuarantees.RULE_LABELS.block}: no soft time`)
+};
+
+// Totals printed on a pasted pairing. They are floors: the credit and TAFB worked out from the
+// legs, report and release times or duty periods never pay less than the printout.
+const printedTotals = {
+    get: tripData => ({
+        creditHours: parseFloat(tripData.printedCreditHours) || 0,
+        tafbHours: parseFloat(tripData.printedTafbHours) || 0
+    }),
+    
+    // Trip with its TAFB raised to the printed TAFB
+    applyTo: (tripData) => {
+        const printed = printedTotals.get(tripData);
+        if (printed.tafbHours <= utils.parseHM(tripData.tafbHours, tripData.tafbMinutes) + 0.005) return tripData;
+        const tafb = utils.splitHM(printed.tafbHours);
+        return { ...tripData, tafbHours: tafb.hours, tafbMinutes: tafb.minutes };
+    },
+    
+    getCreditHours: (tripData, creditHours) => Math.max(creditHours, printedTotals.get(tripData).creditHours)
+};
+
+// Reserve month: the guarantee is paid whatever is flown, assignment credit above it is paid
+// on top, and premiums and per diem from the assignments are paid either way
+const reserveMonth = {
+    // Typed guarantee hours win, zero included; otherwise the contract guarantee prorated by reserve days
+    getGuaranteeHours: (reserve, table) => {
+        const typed = parseFloat(reserve.guaranteeHours);
+        if (Number.isFinite(typed)) return typed;
+        const rules = table.reserveRules || { guaranteeHours: table.monthlyGuaranteeHours || 0, fullMonthDays: 0 };
+        const reserveDays = parseInt(reserve.reserveDays) || 0;
+        if (!rules.fullMonthDays || reserveDays <= 0) return rules.guaranteeHours;
+        return rules.guaranteeHours * Math.min(reserveDays / rules.fullMonthDays, 1);
+    },
+    
+    // `trips` are the month's assignments; the guarantee uses the base rate on the first of the month
+    calculate: (reserve, trips) => {
+        const { table, payData } = contractTables.resolve({
+            ...(trips[0] || {}),
+            tripDate: reserve.month ? `${reserve.month}-01` : ''
+        });
+        const totals = trips.reduce((acc, trip) => {
+            const calc = calculateTripPay(trip);
+            acc.creditedHours += calc.creditedHours || 0;
+            acc.tafbHours += calc.dutyHours || 0;
+            acc.creditPay += calc.basePay;
+            acc.perDiem += calc.perDiem;
+            acc.premiumPay += calc.totalGrossPay - calc.basePay - calc.perDiem;
+            acc.days += parseInt(trip.tripLength) || 1;
+            return acc;
+        }, { creditedHours: 0, tafbHours: 0, creditPay: 0, perDiem: 0, premiumPay: 0, days: 0 });
+        
+        const guaranteeHours = reserveMonth.getGuaranteeHours(reserve, table);
+        const guaranteedPay = guaranteeHours * payData.baseRate;
+        const actualPay = totals.creditPay + totals.premiumPay;
+        const monthPay = Math.max(guaranteedPay, totals.creditPay) + totals.premiumPay + totals.perDiem;
+        return {
+            ...totals,
+            reserveDays: parseInt(reserve.reserveDays) || 0,
+            guaranteeHours, guaranteedPay, actualPay, monthPay,
+            baseRate: payData.baseRate,
+            paidHours: Math.max(totals.creditedHours, guaranteeHours),
+            hoursOverGuarantee: Math.max(totals.creditedHours - guaranteeHours, 0),
+            isAboveGuarantee: totals.creditPay > guaranteedPay
+        };
+    }
+};
+
+// Premiums from PREMIUM_RULES
+const premiumRules = {
+    isOn: (rule, tripData) => tripData[rule.toggle] === 'Yes' || tripData[rule.toggle] === true,
+    
+    getInputHours: (rule, tripData) => (rule.input
+        ? utils.parseHM(tripData[`${rule.input.key}Hours`], tripData[`${rule.input.key}Minutes`])
+        : 0),
+    
+    // Components in calculation order, each premium followed by its itemized flag components
+    getComponents: () => PREMIUM_RULES.flatMap(rule => [
+        { key: rule.component, label: rule.label, paystubPattern: rule.paystubPattern, rule },
+        ...(rule.flags === 'itemized'
+            ? ['white', 'purple'].map(flag => ({ ...rule.flagComponents[flag], flag, rule }))
+            : [])
+    ]),
+    
+    // Whether a component is paid on the next month's settlement rather than the month flown
+    isPaidInArrears: (table, key) => table.payCalendar.arrearsComponents.includes(key) ||
+        premiumRules.getComponents().some(component => component.key === key && component.rule.arrears),
+    
+    // Input hours that share the credited hours with purser hours
+    getSpecialHours: tripData => PREMIUM_RULES
+        .filter(rule => rule.specialHours && premiumRules.isOn(rule, tripData))
+        .reduce((sum, rule) => sum + premiumRules.getInputHours(rule, tripData), 0),
+    
+    // Amount per component; `pay` carries the trip's table, base rate, hours and flags
+    calculate: (tripData, pay) => {
+        const amounts = {};
+        PREMIUM_RULES.forEach(rule => {
+            const hours = { credit: pay.creditedHours, tafb: pay.dutyHours, input: premiumRules.getInputHours(rule, tripData) }[rule.hours];
+            const rate = rule.rate.table ? pay.table[rule.rate.table] || 0 : pay.baseRate * rule.rate.baseRate;
+            const amount = premiumRules.isOn(rule, tripData) ? hours * rate : 0;
+            const whiteFlagPay = pay.whiteFlag ? amount * 0.5 : 0;
+            const purpleFlagPay = pay.purpleFlag ? amount * (pay.purplePremium - 1) : 0;
+            
+            if (rule.flags === 'itemized') {
+                amounts[rule.component] = amount;
+                amounts[rule.flagComponents.white.key] = whiteFlagPay;
+                amounts[rule.flagComponents.purple.key] = purpleFlagPay;
+            } else {
+                amounts[rule.component] = rule.flags === 'included' ? amount + whiteFlagPay + purpleFlagPay : amount;
+            }
+        });
+        return amounts;
+    }
+};
+
+// Display labels for the pay components returned by calculateTripPay
+const PAY_COMPONENT_LABELS = {
+    basePay: 'Base Pay',
+    whiteFlagPay: 'White Flag Pay',
+    purpleFlagPay: 'Purple Flag Pay',
+    ...Object.fromEntries(premiumRules.getComponents().map(component => [component.key, component.label])),
+    purserPay: 'Purser Pay',
+    perDiem: 'Per Diem',
+    holidayPay: 'Holiday Pay'
+};
+
+// Calculate trip pay
+function calculateTripPay(tripData, options = {}) {
+    try {
+        // Totals derived from legs, then report/release TAFB, take precedence over typed totals;
+        // a pasted pairing's printed totals are floors under all of them
+        tripData = printedTotals.applyTo(reportRelease.applyTo(legModel.applyTo(tripData)));
+        const { table, payYear, payData } = contractTables.resolve(tripData);
+        
+        // Parse basic data; duty periods replace the typed credit with the best credit guarantee
+        const dutyHours = utils.parseHM(tripData.tafbHours, tripData.tafbMinutes);
+        const creditGuarantee = creditGuarantees.calculate(tripData, table, dutyHours);
+        const workedOutCreditHours = creditGuarantee
+            ? creditGuarantee.creditHours
+            : utils.parseHM(tripData.creditedHoursHours, tripData.creditedHoursMinutes);
+        const creditedHours = printedTotals.getCreditHours(tripData, workedOutCreditHours);
+        const tripLength = parseInt(tripData.tripLength) || 1;
+        
+        // Parse flag settings
+        const whiteFlag = tripData.whiteFlag === 'Yes' || tripData.whiteFlag === true;
+        const purpleFlag = tripData.purpleFlag === 'Yes' || tripData.purpleFlag === true;
+        const purplePremium = parseFloat(tripData.purpleFlagPremium) || 1.5;
+        
+        // Calculate rates (separate base from flags)
+        const baseRate = payData.baseRate;
+        const flagMultiplier = (whiteFlag ? 1.5 : 1) * (purpleFlag ? purplePremium : 1);
+        const effectiveRate = baseRate * flagMultiplier;
+        const perDiemBreakdown = perDiemSchedule.calculate(tripData, dutyHours);
+
+        // Calculate pay components with separated flag pay
+        const payComponents = {
+            basePay: creditedHours * baseRate, // Pure base pay without flags
+            whiteFlagPay: whiteFlag ? creditedHours * baseRate * 0.5 : 0, // 50% bonus
+            purpleFlagPay: purpleFlag ? creditedHours * baseRate * (purplePremium - 1) : 0, // Premium bonus
+            ...premiumRules.calculate(tripData, { table, baseRate, creditedHours, dutyHours, whiteFlag, purpleFlag, purplePremium }),
+            purserPay: 0,
+            perDiem: perDiemBreakdown.reduce((sum, line) => sum + line.amount, 0),
+            holidayPay: 0
+        };
+
+        
+        // Calculate purser pay
+        if (tripData.purserPay === 'Yes') {
+            const purserUS = parseFloat(tripData.purserUSHours) || 0;
+            const purserNonUS = parseFloat(tripData.purserNonUSHours) || 0;
+            const rates = table.purserRates;
+            const [usRate, nonUSRate] = rates[tripData.aircraftType] || rates['Narrow1'];
+            payComponents.purserPay = purserUS * usRate + purserNonUS * nonUSRate;
+        }
+        
+        // Calculate holiday pay (using effective rate to maintain current behavior), only with the toggle on.
+        // With report and release times the hours come from the holiday calendar, one entry per holiday.
+        const isHolidayPaid = tripData.holidayPay === 'Yes';
+        const holidayHourlyRate = dutyHours > 0 ? effectiveRate * creditedHours / dutyHours : 0;
+        const holidayOverlaps = holidayCalendar.forTrip(tripData, table);
+        const holidayBreakdown = (isHolidayPaid && holidayOverlaps || []).map(overlap => ({
+            ...overlap,
+            pay: holidayHourlyRate * overlap.hours
+        }));
+        if (holidayOverlaps) {
+            payComponents.holidayPay = holidayBreakdown.reduce((sum, holiday) => sum + holiday.pay, 0);
+        } else if (isHolidayPaid && dutyHours > 0) {
+            const holidayHours = parseFloat(tripData.holidayHours) || 0;
+            payComponents.holidayPay = holidayHourlyRate * holidayHours;
+        }
+
+        // Calculate totals
+        const totalGrossPay = Object.values(payComponents).reduce((sum, val) => sum + val, 0);
+        const withholding = taxEngine.calculate(retirementPlan.getSettings(), { ...tripData, ...options }, totalGrossPay, payComponents.perDiem);
+        const netPayEstimate = withholding.netPay;
+        
+        return {
+            ...payComponents,
+            baseRate, effectiveRate, totalGrossPay, netPayEstimate,
+            payYear, contractName: table.name, creditedHours, workedOutCreditHours, dutyHours, creditGuarantee, holidayBreakdown, perDiemBreakdown, withholding,
+            // Stations missing from STATIONS: their legs add nothing to the totals or per diem
+            unknownStations: legModel.getUnknownStations(tripData.legs),
+            hourlyValue: creditedHours > 0 ? totalGrossPay / creditedHours : 0,
+            perDayValue: tripLength > 0 ? totalGrossPay / tripLength : 0
+        };
+    } catch (error) {
+        console.error('Error calculating trip pay:', error);
+        return {
+            ...Object.fromEntries(Object.keys(PAY_COMPONENT_LABELS).map(key => [key, 0])),
+            baseRate: 0, effectiveRate: 0, totalGrossPay: 0, netPayEstimate: 0, hourlyValue: 0, perDayValue: 0
+        };
+    }
+}
+
+// RFC 4180 parser: quoted fields may contain commas, doubled quotes and line breaks
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    const input = text.replace(/^\uFEFF/, '');
+    
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+// Text a spreadsheet would run as a formula; the app's CSV export puts an apostrophe in front of it
+const CSV_FORMULA_START = /^[=+\-@\t\r]/;
+
+// Undo that apostrophe when reading an exported cell back in
+function unescapeCsvCell(text) {
+    return text.startsWith("'") && CSV_FORMULA_START.test(text.slice(1)) ? text.slice(1) : text;
+}
+
+// Pairing printout parser
+// Understands the plain-text pairing layout from crew scheduling, one item per line:
+//   PAIRING W1234  10/05/2026                      header with pairing id and start date
+//   BASE ORD                                       crew base, which sets the base time zone
+//   DAY FLT  DEP  DEPT ARR  ARVL BLK               column headings (ignored)
+//   1   AA1520 ORD 0630 LGA 0945 2.15              leg: day, flight, origin, out, destination, in, block
+//   1   DH 890 LGA 1100 DCA 1215                   deadhead leg; the carrier code is optional and
+//                                                  may be printed apart from the number (UA 301)
+//   DUTY 7.30 BLK 3.30 CR 4.00                     end of a duty period
+//   LAYOVER DCA 14.45 HOTEL ...                    layover (ignored, as are HOTEL, REST 10.30,
+//                                                  CREW: and EQP lines and ---- rules)
+//   TTL BLK 12.45 CR 15.30 TAFB 52.10              pairing totals
+// Durations may be written H.MM or H:MM and clock times are local to each station, so a leg
+// without a printed block, and an estimated TAFB, are timed across the stations' time zones.
+// Anything else is reported back as unparsed.
+const pairingParser = {
+    patterns: {
+        header: /^(?:PAIRING|TRIP|SEQ)\s*#?\s*([A-Z0-9]+)(?:.*?(\d{1,2})\/(\d{1,2})\/(\d{2,4}))?/i,
+        columns: /^(?:DAY|DY)\s+(?:FLT|FLIGHT)\b/i,
+        leg: /^(?:(\d{1,2})\s+)?(DH\s*)?(?:([A-Z][A-Z0-9]|\d[A-Z])\s*)?(\d{1,4})\s+([A-Z]{3})\s+(\d{4})\s+([A-Z]{3})\s+(\d{4})(?:\s+(\d{1,2}[.:]\d{2}))?\s*$/i,
+        duty: /^(?:DUTY|DP)\b/i,
+        totals: /^(?:TTL|TOTAL|TOTALS)\b/i,
+        base: /^BASE\s*[:=]?\s*([A-Z]{3})\s*$/i,
+        // Whole keywords only, so lines such as "LOCAL TIMES SHOWN" still come back as unparsed
+        ignored: [
+            /^(?:LAYOVER|LO)\s+[A-Z]{3}\b/i,
+            /^HOTEL\b/i,
+            /^REST\s+\d{1,3}[.:]\d{2}\b/i,
+            /^CREW\s*:/i,
+            /^EQP\b/i,
+            /^[-=]{3,}\s*$/
+        ],
+        values: /\b(DUTY|DP|BLK|BLOCK|CR|CREDIT|TAFB)\s*[:=]?\s*(\d{1,3}[.:]\d{2})\b/gi
+    },
+    
+    // "2.15" or "2:15" -> 2.25 hours
+    parseDuration: text => {
+        const match = /^(\d+)[.:](\d{2})$/.exec(text || '');
+        return match ? parseInt(match[1]) + parseInt(match[2]) / 60 : 0;
+    },
+    
+    // "0630" -> minutes after midnight
+    parseClock: text => parseInt(text.slice(0, -2)) * 60 + parseInt(text.slice(-2)),
+    
+    // Instant of a clock time at a station on a day of the pairing, NaN at an unknown station.
+    // Without a start date the offsets are taken as of today.
+    getInstant: (clock, station, tripDate, day) => {
+        const date = new Date(`${tripDate || contractTables.toDateKey()}T00:00:00Z`);
+        date.setUTCDate(date.getUTCDate() + (day || 1) - 1);
+        return timeZones.toStationInstant(`${date.toISOString().slice(0, 10)}T${clock.slice(0, 2)}:${clock.slice(2)}`, station);
+    },
+    
+    // Out to in across the two stations' time zones, arriving within a day of leaving;
+    // 0 when either station is unknown
+    getBlockHours: (leg, tripDate) => {
+        const hours = (pairingParser.getInstant(leg.in, leg.destination, tripDate, leg.day) -
+            pairingParser.getInstant(leg.out, leg.origin, tripDate, leg.day)) / 3600000;
+        if (isNaN(hours)) return 0;
+        return hours <= 0 ? hours + 24 : hours;
+    },
+    
+    parseValues: (line) => {
+        const values = {};
+        const keys = { DP: 'duty', DUTY: 'duty', BLK: 'block', BLOCK: 'block', CR: 'credit', CREDIT: 'credit', TAFB: 'tafb' };
+        for (const match of line.matchAll(pairingParser.patterns.values)) {
+            values[keys[match[1].toUpperCase()]] = pairingParser.parseDuration(match[2]);
+        }
+        return values;
+    },
+    
+    parse: (text) => {
+        const { patterns } = pairingParser;
+        const result = { pairingId: '', tripDate: '', baseStation: '', legs: [], dutyPeriods: [], totals: {}, unparsed: [], warnings: [] };
+        let currentLegs = [];
+        let lastDay = 1;
+        
+        const closeDutyPeriod = (values = {}) => {
+            if (currentLegs.length === 0 && Object.keys(values).length === 0) return;
+            const block = currentLegs.filter(leg => !leg.deadhead).reduce((sum, leg) => sum + leg.blockHours, 0);
+            result.dutyPeriods.push({
+                legs: currentLegs,
+                dutyHours: values.duty || 0,
+                blockHours: values.block !== undefined ? values.block : block,
+                creditHours: values.credit || 0
+            });
+            currentLegs = [];
+        };
+        
+        (text || '').split(/\r?\n/).forEach((rawLine, index) => {
+            const line = rawLine.trim();
+            if (!line || patterns.columns.test(line) || patterns.ignored.some(pattern => pattern.test(line))) return;
+            
+            let match;
+            if ((match = patterns.header.exec(line))) {
+                result.pairingId = match[1].toUpperCase();
+                if (match[2]) {
+                    const year = match[4].length === 2 ? `20${match[4]}` : match[4];
+                    result.tripDate = `${year}-${match[2].padStart(2, '0')}-${match[3].padStart(2, '0')}`;
+                }
+            } else if ((match = patterns.base.exec(line))) {
+                result.baseStation = match[1].toUpperCase();
+            } else if ((match = patterns.leg.exec(line))) {
+                const [, day, deadhead, carrier, flight, origin, out, destination, arrival, block] = match;
+                
+                // A new day number starts a new duty period when the printout has no DUTY lines
+                const previous = currentLegs[currentLegs.length - 1];
+                if (previous && day && previous.day && parseInt(day) !== previous.day) closeDutyPeriod();
+                if (day) lastDay = parseInt(day);
+                
+                const leg = {
+                    day: day ? parseInt(day) : null,
+                    flightNumber: `${carrier || ''}${flight}`.toUpperCase(),
+                    origin: origin.toUpperCase(),
+                    destination: destination.toUpperCase(),
+                    out, in: arrival,
+                    deadhead: !!deadhead
+                };
+                leg.blockHours = block
+                    ? pairingParser.parseDuration(block)
+                    : pairingParser.getBlockHours({ ...leg, day: lastDay }, result.tripDate);
+                currentLegs.push(leg);
+                result.legs.push(leg);
+            } else if (patterns.duty.test(line)) {
+                closeDutyPeriod(pairingParser.parseValues(line));
+            } else if (patterns.totals.test(line)) {
+                result.totals = pairingParser.parseValues(line);
+            } else {
+                result.unparsed.push({ lineNumber: index + 1, text: line });
+            }
+        });
+        closeDutyPeriod();
+        
+        return pairingParser.summarize(result);
+    },
+    
+    // Work out block, credit, TAFB and trip length, preferring the printout's own totals
+    summarize: (result) => {
+        const sum = key => result.dutyPeriods.reduce((total, dp) => total + dp[key], 0);
+        const days = result.legs.map(leg => leg.day).filter(day => day !== null);
+        
+        result.blockHours = result.totals.block !== undefined ? result.totals.block : sum('blockHours');
+        result.creditHours = result.totals.credit || sum('creditHours') || result.blockHours;
+        result.tripLength = days.length > 0 ? Math.max(...days) - Math.min(...days) + 1 : result.dutyPeriods.length;
+        result.tafbHours = result.totals.tafb || 0;
+        
+        if (!result.totals.credit && !sum('creditHours')) {
+            result.warnings.push('No credit found; using block time as credit.');
+        }
+        if (!result.tafbHours && result.legs.length > 0 && days.length === result.legs.length) {
+            // Estimate from first departure to last arrival, without report/debrief time
+            const first = result.legs[0];
+            const last = result.legs[result.legs.length - 1];
+            const lastOut = pairingParser.getInstant(last.out, last.origin, result.tripDate, last.day);
+            const firstOut = pairingParser.getInstant(first.out, first.origin, result.tripDate, first.day);
+            const hours = (lastOut - firstOut) / 3600000 + last.blockHours;
+            if (hours > 0) result.tafbHours = hours;
+        }
+        if (result.tafbHours && !result.totals.tafb) {
+            result.warnings.push('No TAFB found; estimated from first departure to last arrival.');
+        } else if (!result.tafbHours) {
+            result.warnings.push('No TAFB found; enter it by hand.');
+        }
+        if (!result.tripDate && result.legs.length > 0) {
+            result.warnings.push('No start date found; enter the leg times by hand.');
+        }
+        const unknownStations = legModel.getUnknownStations(result.legs);
+        if (unknownStations.length > 0) {
+            const one = unknownStations.length === 1;
+            result.warnings.push(`Unknown station${one ? '' : 's'} ${unknownStations.join(', ')}: ` +
+                `legs to or from ${one ? 'it' : 'them'} are left out of the totals.`);
+        }
+        if (result.baseStation && !STATIONS[result.baseStation]) {
+            result.warnings.push(`Base ${result.baseStation} is not a known station; the base time zone is unchanged.`);
+        }
+        return result;
+    },
+    
+    // Parsed leg as a leg editor row, dated from the pairing start date and its day number.
+    // The in time is dated where the block across the time zones ends; at an unknown station,
+    // an in time earlier than the out time lands on the next day.
+    toLegRow: (leg, tripDate, day) => {
+        const row = { flightNumber: leg.flightNumber, origin: leg.origin, destination: leg.destination, out: '', in: '', deadhead: leg.deadhead };
+        if (!tripDate) return row;
+        
+        const dateAfter = days => {
+            const date = new Date(`${tripDate}T00:00:00Z`);
+            date.setUTCDate(date.getUTCDate() + days);
+            return date.toISOString().slice(0, 10);
+        };
+        const clock = text => `${text.slice(0, 2)}:${text.slice(2)}`;
+        const outInstant = pairingParser.getInstant(leg.out, leg.origin, tripDate, day);
+        const zone = timeZones.getStationZone(leg.destination);
+        const overnight = pairingParser.parseClock(leg.in) < pairingParser.parseClock(leg.out) ? 1 : 0;
+        row.out = `${dateAfter(day - 1)}T${clock(leg.out)}`;
+        row.in = zone && !isNaN(outInstant)
+            ? `${timeZones.toLocalDate(outInstant + pairingParser.getBlockHours({ ...leg, day }, tripDate) * 3600000, zone)}T${clock(leg.in)}`
+            : `${dateAfter(day - 1 + overnight)}T${clock(leg.in)}`;
+        return row;
+    },
+    
+    // Trip form fields the parsed pairing fills in
+    toFormData: (result) => {
+        const credit = utils.splitHM(result.creditHours);
+        const tafb = utils.splitHM(result.tafbHours);
+        const data = {
+            creditedHoursHours: credit.hours,
+            creditedHoursMinutes: credit.minutes,
+            tripLength: String(result.tripLength || 1),
+            // The printed totals stay floors once legs or duty periods work out their own
+            printedCreditHours: result.totals.credit ? result.totals.credit.toFixed(2) : '',
+            printedTafbHours: result.totals.tafb ? result.totals.tafb.toFixed(2) : ''
+        };
+        if (result.tafbHours) {
+            data.tafbHours = tafb.hours;
+            data.tafbMinutes = tafb.minutes;
+        }
+        if (result.pairingId) data.name = result.pairingId;
+        if (STATIONS[result.baseStation]) data.baseTimeZone = STATIONS[result.baseStation].timeZone;
+        if (result.tripDate) data.tripDate = result.tripDate;
+        // Legs without a day number fly on the day of the leg before them
+        let day = 1;
+        data.legs = result.legs.map(leg => {
+            day = leg.day || day;
+            return pairingParser.toLegRow(leg, result.tripDate, day);
+        });
+        // Duty times from DUTY lines let the credit guarantees work out the credit
+        if (result.dutyPeriods.some(period => period.dutyHours > 0)) {
+            data.dutyPeriods = result.dutyPeriods.map(period => ({
+                dutyHours: period.dutyHours.toFixed(2),
+                blockHours: period.blockHours.toFixed(2)
+            }));
+        }
+        return data;
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        payEngineHost, CONTRACT_TABLES, PREMIUM_RULES, PER_DIEM_REGIONS, PER_DIEM_SCHEDULE, TAX_TABLES, STATIONS,
+        DEFAULT_PROFILE, PAY_COMPONENT_LABELS, contractTables, timeZones, reportRelease, holidayCalendar,
+        perDiemSchedule, taxEngine, retirementPlan, legModel, creditGuarantees, printedTotals, reserveMonth, premiumRules, utils, calculateTripPay, parseCsv, CSV_FORMULA_START, unescapeCsvCell, pairingParser
+    };
+}
@@ -5,8 +5,39 @@
 const ELEMENT_IDS = {
     // Main containers
     TRIP_COMPARISON: 'trip-comparison',
+    LINE_COMPARISON: 'line-comparison',
+    SHARED_COMPARISON: 'shared-comparison',
+    COMPARISON_TABLE_VIEW: 'comparison-table-view',
+    CHART_AREA: 'chart-area',
+    STACKED_BAR_CHART: 'stacked-bar-chart',
+    DONUT_CHART: 'donut-chart',
+    DONUT_TRIP: 'donut-trip',
+    TREND_CHART: 'trend-chart',
+    TREND_CHART_FIGURE: 'trend-chart-figure',
+    COMPARISON_TABLE: 'comparison-table',
+    REFERENCE_TRIP: 'reference-trip',
+    SHARE_PANEL: 'share-panel',
+    HISTORY_PANEL: 'history-panel',
+    RANKING_PANEL: 'ranking-panel',
+    RANKING_WEIGHTS: 'ranking-weights',
+    RANKING_ORDER: 'ranking-order',
+    RANKING_DESCRIPTION: 'ranking-description',
+    SORT_BY_RANK: 'sort-by-rank',
+    HISTORY_LIST: 'history-list',
     SIDE_PANEL: 'side-panel',
+    LINE_PANEL: 'line-panel',
+    PROFILE_PANEL: 'profile-panel',
+    PAYCHECK_PANEL: 'paycheck-panel',
+    PAYCHECK_LIST: 'paycheck-list',
+    WHAT_IF_PANEL: 'what-if-panel',
+    WHAT_IF_BASE: 'what-if-base',
+    WHAT_IF_DROP_LIST: 'what-if-drop-list',
+    WHAT_IF_ADD_LIST: 'what-if-add-list',
+    WHAT_IF_RESULT: 'what-if-result',
+    PAYSTUB_PANEL: 'paystub-panel',
+    SPREADSHEET_PANEL: 'spreadsheet-panel',
     TOAST_CONTAINER: 'toast-container',
+    UPDATE_BANNER: 'update-banner',
     NO_TRIPS_MESSAGE: 'no-trips-message',
     
     // Form elements
@@ -14,6 +45,13 @@ const ELEMENT_IDS = {
     TRIP_ID: 'trip-id',
     TRIP_NAME: 'trip-name',
     PAY_YEAR: 'pay-year',
+    TRIP_DATE: 'trip-date',
+    HIRE_DATE: 'hire-date',
+    REPORT_TIME: 'report-time',
+    REPORT_STATION: 'report-station',
+    RELEASE_TIME: 'release-time',
+    RELEASE_STATION: 'release-station',
+    BASE_TIME_ZONE: 'base-time-zone',
     TRIP_LENGTH: 'trip-length',
     
     // Hours inputs
@@ -25,26 +63,19 @@ const ELEMENT_IDS = {
     // Toggle elements
     WHITE_FLAG: 'white-flag',
     PURPLE_FLAG: 'purple-flag',
-    GALLEY_PAY: 'galley-pay',
     PURSER_PAY: 'purser-pay',
     INTL_OVERRIDE: 'intl-override',
-    INTL_PAY_OVERRIDE: 'intl-pay-override',
-    LANGUAGE_PAY: 'language-pay',
     HOLIDAY_PAY: 'holiday-pay',
     
     // Toggle labels
     WHITE_FLAG_LABEL: 'white-flag-label',
     PURPLE_FLAG_LABEL: 'purple-flag-label',
-    GALLEY_PAY_LABEL: 'galley-pay-label',
     PURSER_PAY_LABEL: 'purser-pay-label',
     INTL_OVERRIDE_LABEL: 'intl-override-label',
-    INTL_PAY_OVERRIDE_LABEL: 'intl-pay-override-label',
-    LANGUAGE_PAY_LABEL: 'language-pay-label',
     HOLIDAY_PAY_LABEL: 'holiday-pay-label',
     
     // Conditional groups
     PURPLE_FLAG_DROPDOWN_GROUP: 'purple-flag-dropdown-group',
-    GALLEY_HOURS_GROUP: 'galley-hours-group',
     PURSER_FIELDS_GROUP: 'purser-fields-group',
     HOLIDAY_HOURS_GROUP: 'holiday-hours-group',
     
@@ -52,9 +83,8 @@ const ELEMENT_IDS = {
     PURPLE_FLAG_PREMIUM: 'purple-flag-premium',
     AIRCRAFT_TYPE: 'aircraft-type',
     
-    // Galley hours
-    GALLEY_HOURS_HOURS: 'galley-hours-hours',
-    GALLEY_HOURS_MINUTES: 'galley-hours-minutes',
+    // Generated premium toggles and hours
+    PREMIUM_FIELDS: 'premium-fields',
     
     // Purser hours
     PURSER_US_HOURS: 'purser-us-hours',
@@ -62,13 +92,111 @@ const ELEMENT_IDS = {
     
     // Holiday hours
     HOLIDAY_HOURS: 'holiday-hours',
+    HOLIDAY_BREAKDOWN: 'holiday-breakdown',
     
     // Financial inputs
+    PROFILE_FORM: 'profile-form',
     RETIREMENT_PERCENTAGE: 'retirement-percentage',
-    TAX_RATE: 'tax-rate',
+    ROTH_PERCENTAGE: 'roth-percentage',
+    EMPLOYER_MATCH_RATE: 'employer-match-rate',
+    EMPLOYER_MATCH_CAP: 'employer-match-cap',
+    EMPLOYER_NON_ELECTIVE: 'employer-non-elective',
+    ANNUAL_DEFERRAL_LIMIT: 'annual-deferral-limit',
+    YTD_DEFERRALS: 'ytd-deferrals',
+    FILING_STATUS: 'filing-status',
+    ANNUAL_WAGES: 'annual-wages',
+    STATE_TAX_RATE: 'state-tax-rate',
+    
+    // Legs
+    LEG_LIST: 'leg-list',
+    LEG_STATION_WARNING: 'leg-station-warning',
+    DUTY_PERIOD_LIST: 'duty-period-list',
+    CREDIT_GUARANTEE: 'credit-guarantee',
+    PRINTED_CREDIT_HOURS: 'printed-credit-hours',
+    PRINTED_TAFB_HOURS: 'printed-tafb-hours',
+    PRINTED_TOTALS: 'printed-totals',
+    PRINTED_TOTALS_TEXT: 'printed-totals-text',
+    
+    // Pairing paste
+    PAIRING_TEXT: 'pairing-text',
+    PAIRING_PARSE_REPORT: 'pairing-parse-report',
+    
+    // Paystub reconciliation
+    PAYSTUB_FORM: 'paystub-form',
+    PAYSTUB_CHECK: 'paystub-check',
+    PAYSTUB_ITEMS: 'paystub-items',
+    PAYSTUB_FILE: 'paystub-file',
+    PAYSTUB_RESULTS: 'paystub-results',
+    PAYSTUB_REPORT: 'paystub-report',
+    
+    // Spreadsheet import
+    IMPORT_FILE: 'import-file',
+    IMPORT_MAPPING: 'import-mapping',
+    IMPORT_PREVIEW: 'import-preview',
+    
+    // Share links
+    SHARE_TRIP_LIST: 'share-trip-list',
+    SHARE_LINK: 'share-link',
+    SHARE_QR: 'share-qr',
+    SHARE_RESULT: 'share-result',
+    
+    // Backup and restore
+    RESTORE_FILE: 'restore-file',
+    RESTORE_SUMMARY: 'restore-summary',
+    RESTORE_OPTIONS: 'restore-options',
+    
+    // Line form elements
+    LINE_FORM: 'line-form',
+    LINE_PANEL_TITLE: 'line-panel-title',
+    LINE_NAME: 'line-name',
+    LINE_MONTH: 'line-month',
+    LINE_TYPE: 'line-type',
+    LINE_GUARANTEE_HOURS: 'line-guarantee-hours',
+    LINE_RESERVE_GROUP: 'line-reserve-group',
+    LINE_RESERVE_DAYS: 'line-reserve-days',
+    LINE_TRIP_LIST: 'line-trip-list',
     
     // Buttons
     ADD_TRIP_BTN: 'add-trip-btn',
+    LINES_BTN: 'lines-btn',
+    PROFILE_BTN: 'profile-btn',
+    PAYCHECKS_BTN: 'paychecks-btn',
+    PAYCHECK_PANEL_CLOSE: 'paycheck-panel-close',
+    UPDATE_RELOAD_BTN: 'update-reload-btn',
+    WHAT_IF_BTN: 'what-if-btn',
+    WHAT_IF_PANEL_CLOSE: 'what-if-panel-close',
+    PAYSTUB_BTN: 'paystub-btn',
+    PAYSTUB_PANEL_CLOSE: 'paystub-panel-close',
+    COPY_PAYSTUB_REPORT_BTN: 'copy-paystub-report-btn',
+    SPREADSHEET_BTN: 'spreadsheet-btn',
+    SPREADSHEET_PANEL_CLOSE: 'spreadsheet-panel-close',
+    EXPORT_CSV_BTN: 'export-csv-btn',
+    EXPORT_XLSX_BTN: 'export-xlsx-btn',
+    IMPORT_CANCEL_BTN: 'import-cancel-btn',
+    IMPORT_CONFIRM_BTN: 'import-confirm-btn',
+    BACKUP_BTN: 'backup-btn',
+    SHARE_BTN: 'share-btn',
+    HISTORY_BTN: 'history-btn',
+    RANKING_BTN: 'ranking-btn',
+    TABLE_VIEW_BTN: 'table-view-btn',
+    CHARTS_BTN: 'charts-btn',
+    RANKING_PANEL_CLOSE: 'ranking-panel-close',
+    RESET_RANKING_BTN: 'reset-ranking-btn',
+    HISTORY_PANEL_CLOSE: 'history-panel-close',
+    UNDO_BTN: 'undo-btn',
+    REDO_BTN: 'redo-btn',
+    SHARE_PANEL_CLOSE: 'share-panel-close',
+    CREATE_SHARE_LINK_BTN: 'create-share-link-btn',
+    COPY_SHARE_LINK_BTN: 'copy-share-link-btn',
+    RESTORE_BTN: 'restore-btn',
+    PROFILE_PANEL_CLOSE: 'profile-panel-close',
+    PROFILE_CANCEL_BTN: 'profile-cancel-btn',
+    PARSE_PAIRING_BTN: 'parse-pairing-btn',
+    ADD_LEG_BTN: 'add-leg-btn',
+    ADD_DUTY_PERIOD_BTN: 'add-duty-period-btn',
+    CLEAR_PRINTED_TOTALS_BTN: 'clear-printed-totals-btn',
+    LINE_PANEL_CLOSE: 'line-panel-close',
+    LINE_CANCEL_BTN: 'line-cancel-btn',
     PANEL_CLOSE: 'panel-close',
     CANCEL_BTN: 'cancel-btn',
     SAVE_TRIP_BTN: 'save-trip-btn',
@@ -77,103 +205,75 @@ const ELEMENT_IDS = {
     CLEAR_ALL_BTN: 'clear-all-btn',
     
     // Validation messages
-    GALLEY_HOURS_VALIDATION: 'galley-hours-validation',
     PURSER_US_HOURS_VALIDATION: 'purser-us-hours-validation',
     PURSER_NON_US_HOURS_VALIDATION: 'purser-non-us-hours-validation',
-    HOLIDAY_HOURS_VALIDATION: 'holiday-hours-validation'
+    HOLIDAY_HOURS_VALIDATION: 'holiday-hours-validation',
+    RELEASE_TIME_VALIDATION: 'release-time-validation'
 };
 
 // Export and clear operations
-const exportTrips = async () => {
+const exportTrips = () => {
     if (state.trips.length === 0) {
         showToast('No trips to export', 'warning');
         return;
     }
+    if (!window.jspdf) {
+        showToast('PDF library unavailable. Check your connection and reload.', 'error');
+        return;
+    }
     try {
-        showToast('Generating PDF...', 'info');
-
-        // Create a temporary container for the PDF with grid layout
-        const tempContainer = document.createElement('div');
-        tempContainer.style.position = 'absolute';
-        tempContainer.style.left = '-9999px';
-        tempContainer.style.top = '0';
-        tempContainer.style.width = '1200px'; // Wide enough for 3 cards
-        tempContainer.style.backgroundColor = 'white';
-        tempContainer.style.padding = '20px';
-        tempContainer.style.fontFamily = 'Arial, sans-serif';
-
-        // Add header
-        const header = document.createElement('div');
-        header.style.textAlign = 'center';
-        header.style.marginBottom = '30px';
-        header.style.borderBottom = '2px solid #3a36e0';
-        header.style.paddingBottom = '20px';
-        header.innerHTML = `
-            <h1 style="color: #3a36e0; margin: 0; font-size: 24px;">Jumpseat Fox</h1>
-            <p style="color: #666; margin: 10px 0 0 0; font-size: 14px;">Generated on ${new Date().toLocaleDateString()} at ${new Date().toLocaleTimeString()}</p>
-        `;
-        tempContainer.appendChild(header);
-
-        // Grid for trip cards
-        const grid = document.createElement('div');
-        grid.style.display = 'grid';
-        grid.style.gridTemplateColumns = 'repeat(3, 1fr)';
-        grid.style.gap = '24px';
-        grid.style.marginTop = '30px';
-        grid.style.marginBottom = '30px';
-
-        // Clone trip cards for PDF
-        const tripContainer = $(ELEMENT_IDS.TRIP_COMPARISON);
-        const tripCards = tripContainer.querySelectorAll('.trip-card');
-        tripCards.forEach((card) => {
-            const cardClone = card.cloneNode(true);
-            // Remove action buttons for PDF
-            const actions = cardClone.querySelector('.trip-card-actions');
-            if (actions) actions.remove();
-            // Hide best value badge if not the best trip
-            const badge = cardClone.querySelector('.best-value-badge');
-            if (badge && !card.classList.contains('best-trip')) {
-                badge.style.display = 'none';
-            }
-            cardClone.style.margin = '0';
-            cardClone.style.pageBreakInside = 'avoid';
-            grid.appendChild(cardClone);
-        });
-        tempContainer.appendChild(grid);
-
-        // Add to document temporarily
-        document.body.appendChild(tempContainer);
-
-        // Generate PDF
-        const canvas = await html2canvas(tempContainer, {
-            scale: 2,
-            useCORS: true,
-            allowTaint: true,
-            backgroundColor: '#ffffff'
-        });
-        document.body.removeChild(tempContainer);
-
-        // Create PDF
-        const { jsPDF } = window.jspdf;
-        const pdf = new jsPDF('p', 'mm', 'a4');
-        const imgData = canvas.toDataURL('image/png');
-        const pdfWidth = pdf.internal.pageSize.getWidth();
-        const pdfHeight = pdf.internal.pageSize.getHeight();
-        const imgWidth = pdfWidth - 20; // 10mm margin on each side
-        const imgHeight = (canvas.height * imgWidth) / canvas.width;
-
-        let heightLeft = imgHeight;
-        let position = 10; // 10mm top margin
-        pdf.addImage(imgData, 'PNG', 10, position, imgWidth, imgHeight);
-        heightLeft -= (pdfHeight - 20);
-        while (heightLeft >= 0) {
-            position = heightLeft - imgHeight;
-            pdf.addPage();
-            pdf.addImage(imgData, 'PNG', 10, position, imgWidth, imgHeight);
-            heightLeft -= (pdfHeight - 20);
+        const doc = pdfReport.create();
+        const ranking = tripRanking.rank(state.trips);
+        const bestTripId = getBestTripId(ranking);
+        const calculations = state.trips.map(trip => calculateTripPay(trip));
+        
+        pdfReport.heading(doc, 'Jumpseat Fox - Trip Pay Report', 18);
+        pdfReport.text(doc, `Generated on ${new Date().toLocaleDateString()} at ${new Date().toLocaleTimeString()}`);
+        
+        pdfReport.heading(doc, 'Comparison Summary', 13);
+        pdfReport.table(doc, [
+            { header: 'Rank', width: 12, align: 'right' },
+            { header: 'Trip', width: 40 },
+            { header: 'Date', width: 20 },
+            { header: 'Credit', width: 15, align: 'right' },
+            { header: 'TAFB', width: 15, align: 'right' },
+            { header: 'Gross', width: 21, align: 'right' },
+            { header: 'Net Est.', width: 21, align: 'right' },
+            { header: '$/hr', width: 18, align: 'right' },
+            { header: '$/day', width: 18, align: 'right' }
+        ], state.trips.map((trip, index) => {
+            const calc = calculations[index];
+            const isBest = trip.id === bestTripId;
+            return {
+                bold: isBest,
+                fill: isBest ? '#fff4e0' : null,
+                cells: [
+                    ranking[trip.id].rank,
+                    `${trip.name || 'Unnamed Trip'}${isBest ? ' (Best value)' : ''}`,
+                    paycheckProjection.getTripDate(trip) || '--',
+                    utils.formatHours(calc.creditedHours),
+                    utils.formatHours(calc.dutyHours),
+                    utils.formatCurrency(calc.totalGrossPay),
+                    calc.withholding && calc.withholding.isEstimated ? utils.formatCurrency(calc.netPayEstimate) : '--',
+                    utils.formatCurrency(calc.hourlyValue),
+                    utils.formatCurrency(calc.perDayValue)
+                ]
+            };
+        }));
+        pdfReport.text(doc, `Ranked by ${tripRanking.describe()}.`);
+        
+        pdfReport.heading(doc, 'Pay Breakdown', 13);
+        pdfReport.chart(doc, payCharts.stackedBars(state.trips, calculations));
+        const trend = payCharts.trend(state.trips, calculations);
+        if (trend) {
+            pdfReport.heading(doc, 'Monthly Gross', 13);
+            pdfReport.chart(doc, trend);
         }
+        
+        state.trips.forEach((trip, index) => pdfReport.tripSection(doc, trip, calculations[index], trip.id === bestTripId));
+        
         const fileName = `jumpseat_fox_${new Date().toISOString().split('T')[0]}.pdf`;
-        pdf.save(fileName);
+        doc.pdf.save(fileName);
         showToast('PDF exported successfully!', 'success');
     } catch (error) {
         console.error('Error generating PDF:', error);
@@ -181,11 +281,151 @@ const exportTrips = async () => {
     }
 };
 
+// PDF report - text and tables drawn with jsPDF so the report stays selectable and searchable
+const pdfReport = {
+    MARGIN: 15,
+    ROW_HEIGHT: 6,
+    
+    create: () => {
+        const { jsPDF } = window.jspdf;
+        const pdf = new jsPDF('p', 'mm', 'a4');
+        return {
+            pdf,
+            y: pdfReport.MARGIN,
+            width: pdf.internal.pageSize.getWidth(),
+            height: pdf.internal.pageSize.getHeight()
+        };
+    },
+    
+    // Starts a new page when the next block won't fit; returns true if it did
+    ensureSpace: (doc, needed) => {
+        if (doc.y + needed <= doc.height - pdfReport.MARGIN) return false;
+        doc.pdf.addPage();
+        doc.y = pdfReport.MARGIN;
+        return true;
+    },
+    
+    heading: (doc, text, size, color = '#3a36e0') => {
+        const height = size * 0.5 + 3;
+        pdfReport.ensureSpace(doc, height + pdfReport.ROW_HEIGHT * 2);
+        doc.pdf.setFont('helvetica', 'bold');
+        doc.pdf.setFontSize(size);
+        doc.pdf.setTextColor(color);
+        doc.pdf.text(text, pdfReport.MARGIN, doc.y + size * 0.35);
+        doc.y += height;
+    },
+    
+    text: (doc, text) => {
+        pdfReport.ensureSpace(doc, pdfReport.ROW_HEIGHT);
+        doc.pdf.setFont('helvetica', 'normal');
+        doc.pdf.setFontSize(9);
+        doc.pdf.setTextColor('#4a5568');
+        doc.pdf.text(text, pdfReport.MARGIN, doc.y + 4);
+        doc.y += pdfReport.ROW_HEIGHT + 2;
+    },
+    
+    // Rows are { cells, bold, fill }; the header row repeats after a page break
+    table: (doc, columns, rows) => {
+        const { pdf } = doc;
+        const { MARGIN, ROW_HEIGHT } = pdfReport;
+        const tableWidth = columns.reduce((sum, column) => sum + column.width, 0);
+        
+        const drawRow = (cells, { bold = false, fill = null } = {}) => {
+            if (fill) {
+                pdf.setFillColor(fill);
+                pdf.rect(MARGIN, doc.y, tableWidth, ROW_HEIGHT, 'F');
+            }
+            pdf.setFont('helvetica', bold ? 'bold' : 'normal');
+            pdf.setFontSize(9);
+            pdf.setTextColor('#1a202c');
+            let x = MARGIN;
+            columns.forEach((column, index) => {
+                const text = pdf.splitTextToSize(String(cells[index] ?? ''), column.width - 3)[0] || '';
+                const textX = column.align === 'right' ? x + column.width - 1.5 : x + 1.5;
+                pdf.text(text, textX, doc.y + 4.2, { align: column.align || 'left' });
+                x += column.width;
+            });
+            pdf.setDrawColor('#e2e8f0');
+            pdf.line(MARGIN, doc.y + ROW_HEIGHT, MARGIN + tableWidth, doc.y + ROW_HEIGHT);
+            doc.y += ROW_HEIGHT;
+        };
+        const hasHeader = columns.some(column => column.header);
+        const drawHeader = () => {
+            if (hasHeader) drawRow(columns.map(column => column.header), { bold: true, fill: '#f1f5f9' });
+        };
+        
+        pdfReport.ensureSpace(doc, ROW_HEIGHT * (hasHeader ? 2 : 1));
+        drawHeader();
+        rows.forEach(row => {
+            if (pdfReport.ensureSpace(doc, ROW_HEIGHT)) drawHeader();
+            drawRow(row.cells, row);
+        });
+        doc.y += 4;
+    },
+    
+    // Draws payCharts shapes scaled to the page width; text is always dark since the page is white
+    chart: (doc, chart, width = 180) => {
+        const { pdf } = doc;
+        const scale = width / payCharts.WIDTH;
+        pdfReport.ensureSpace(doc, chart.height * scale + 4);
+        const left = pdfReport.MARGIN;
+        const top = doc.y;
+        const point = ([x, y]) => [left + x * scale, top + y * scale];
+        
+        chart.shapes.forEach(shape => {
+            if (shape.type === 'rect') {
+                pdf.setFillColor(shape.fill);
+                pdf.rect(left + shape.x * scale, top + shape.y * scale, shape.width * scale, shape.height * scale, 'F');
+            } else if (shape.type === 'polygon') {
+                const points = shape.points.map(point);
+                const deltas = points.slice(1).map(([x, y], index) => [x - points[index][0], y - points[index][1]]);
+                pdf.setFillColor(shape.fill);
+                pdf.lines(deltas, points[0][0], points[0][1], [1, 1], 'F', true);
+            } else if (shape.type === 'line') {
+                pdf.setDrawColor(shape.stroke);
+                pdf.setLineWidth(shape.width * scale);
+                shape.points.slice(1).forEach((next, index) => {
+                    const [x1, y1] = point(shape.points[index]);
+                    const [x2, y2] = point(next);
+                    pdf.line(x1, y1, x2, y2);
+                });
+            } else if (shape.type === 'circle') {
+                pdf.setFillColor(shape.fill);
+                pdf.circle(left + shape.cx * scale, top + shape.cy * scale, shape.r * scale, 'F');
+            } else {
+                pdf.setFont('helvetica', 'normal');
+                pdf.setFontSize(shape.size * scale * 2.835);
+                pdf.setTextColor('#1a202c');
+                pdf.text(shape.text, left + shape.x * scale, top + shape.y * scale, { align: { middle: 'center', end: 'right' }[shape.anchor] || 'left' });
+            }
+        });
+        pdf.setLineWidth(0.2);
+        doc.y += chart.height * scale + 4;
+    },
+    
+    // One trip's details, itemized pay and composition donut, kept on one page when it fits
+    tripSection: (doc, trip, calculation, isBest) => {
+        const details = templateRenderer.getTripDetailRows(trip, calculation);
+        const summary = templateRenderer.getTripSummaryRows(calculation);
+        const donut = payCharts.donut(trip, calculation);
+        const needed = 12 + (details.length + summary.length + 1) * pdfReport.ROW_HEIGHT + 8 + donut.height * 0.3 + 4;
+        if (needed <= doc.height - pdfReport.MARGIN * 2) pdfReport.ensureSpace(doc, needed);
+        
+        pdfReport.heading(doc, `${trip.name || 'Unnamed Trip'}${isBest ? ' - Best value' : ''}`, 13, trip.color || '#3a36e0');
+        pdfReport.table(doc, [{ width: 120 }, { width: 60, align: 'right' }],
+            details.map(item => ({ cells: [item.label, item.value] })));
+        pdfReport.table(doc, [{ header: 'Pay Item', width: 120 }, { header: 'Amount', width: 60, align: 'right' }],
+            summary.map(item => ({ cells: [item.label, item.value], bold: item.highlight })));
+        if (calculation.totalGrossPay > 0) pdfReport.chart(doc, donut);
+    }
+};
+
 const clearAllTrips = () => {
     if (state.trips.length > 0 && confirm('Clear all trips?')) {
+        history.saveState('clear', `all ${state.trips.length} trips`);
         state.trips = [];
         renderTrips();
-        showToast('All trips cleared', 'info');
+        showToast('All trips cleared. <a href="#">Undo</a>', 'info');
     }
 };
 
@@ -195,7 +435,99 @@ const BUTTONS = {
     [ELEMENT_IDS.PANEL_CLOSE]: () => toggleSidePanel(false),
     [ELEMENT_IDS.CANCEL_BTN]: () => toggleSidePanel(false),
     [ELEMENT_IDS.EXPORT_BTN]: exportTrips,
-    [ELEMENT_IDS.CLEAR_ALL_BTN]: clearAllTrips
+    [ELEMENT_IDS.CLEAR_ALL_BTN]: clearAllTrips,
+    [ELEMENT_IDS.PARSE_PAIRING_BTN]: () => applyPastedPairing(),
+    [ELEMENT_IDS.ADD_LEG_BTN]: () => legEditor.addRow(),
+    [ELEMENT_IDS.ADD_DUTY_PERIOD_BTN]: () => dutyPeriodEditor.addRow(),
+    [ELEMENT_IDS.LINES_BTN]: () => { resetLineForm(); toggleToolPanel(ELEMENT_IDS.LINE_PANEL, true); },
+    [ELEMENT_IDS.LINE_PANEL_CLOSE]: () => toggleToolPanel(ELEMENT_IDS.LINE_PANEL, false),
+    [ELEMENT_IDS.LINE_CANCEL_BTN]: () => toggleToolPanel(ELEMENT_IDS.LINE_PANEL, false),
+    [ELEMENT_IDS.PROFILE_BTN]: () => { setProfileFormData(state.profile); toggleToolPanel(ELEMENT_IDS.PROFILE_PANEL, true); },
+    [ELEMENT_IDS.PAYCHECKS_BTN]: () => { renderPaychecks(); toggleToolPanel(ELEMENT_IDS.PAYCHECK_PANEL, true); },
+    [ELEMENT_IDS.PAYCHECK_PANEL_CLOSE]: () => toggleToolPanel(ELEMENT_IDS.PAYCHECK_PANEL, false),
+    [ELEMENT_IDS.UPDATE_RELOAD_BTN]: () => offlineApp.applyUpdate(),
+    [ELEMENT_IDS.WHAT_IF_BTN]: () => { renderWhatIfBases(); toggleToolPanel(ELEMENT_IDS.WHAT_IF_PANEL, true); },
+    [ELEMENT_IDS.WHAT_IF_PANEL_CLOSE]: () => toggleToolPanel(ELEMENT_IDS.WHAT_IF_PANEL, false),
+    [ELEMENT_IDS.PAYSTUB_BTN]: () => { renderPaystubCheckOptions(); toggleToolPanel(ELEMENT_IDS.PAYSTUB_PANEL, true); },
+    [ELEMENT_IDS.PAYSTUB_PANEL_CLOSE]: () => toggleToolPanel(ELEMENT_IDS.PAYSTUB_PANEL, false),
+    [ELEMENT_IDS.COPY_PAYSTUB_REPORT_BTN]: () => copyPaystubReport(),
+    [ELEMENT_IDS.SPREADSHEET_BTN]: () => toggleToolPanel(ELEMENT_IDS.SPREADSHEET_PANEL, true),
+    [ELEMENT_IDS.SPREADSHEET_PANEL_CLOSE]: () => toggleToolPanel(ELEMENT_IDS.SPREADSHEET_PANEL, false),
+    [ELEMENT_IDS.EXPORT_CSV_BTN]: () => exportSpreadsheet('csv'),
+    [ELEMENT_IDS.EXPORT_XLSX_BTN]: () => exportSpreadsheet('xlsx'),
+    [ELEMENT_IDS.IMPORT_CANCEL_BTN]: () => resetImport(),
+    [ELEMENT_IDS.IMPORT_CONFIRM_BTN]: () => confirmImport(),
+    [ELEMENT_IDS.BACKUP_BTN]: () => downloadBackup(),
+    [ELEMENT_IDS.TABLE_VIEW_BTN]: () => toggleComparisonView(),
+    [ELEMENT_IDS.CHARTS_BTN]: () => toggleCharts(),
+    [ELEMENT_IDS.RANKING_BTN]: () => { renderRankingPanel(); toggleToolPanel(ELEMENT_IDS.RANKING_PANEL, true); },
+    [ELEMENT_IDS.RANKING_PANEL_CLOSE]: () => toggleToolPanel(ELEMENT_IDS.RANKING_PANEL, false),
+    [ELEMENT_IDS.RESET_RANKING_BTN]: () => {
+        state.ranking = { ...DEFAULT_RANKING, sortByRank: state.ranking.sortByRank };
+        renderTrips();
+        renderRankingPanel();
+    },
+    [ELEMENT_IDS.HISTORY_BTN]: () => { renderHistoryPanel(); toggleToolPanel(ELEMENT_IDS.HISTORY_PANEL, true); },
+    [ELEMENT_IDS.HISTORY_PANEL_CLOSE]: () => toggleToolPanel(ELEMENT_IDS.HISTORY_PANEL, false),
+    [ELEMENT_IDS.UNDO_BTN]: () => history.undoLastOperation(),
+    [ELEMENT_IDS.REDO_BTN]: () => history.redoLastOperation(),
+    [ELEMENT_IDS.SHARE_BTN]: () => { renderShareTripOptions(); toggleToolPanel(ELEMENT_IDS.SHARE_PANEL, true); },
+    [ELEMENT_IDS.SHARE_PANEL_CLOSE]: () => toggleToolPanel(ELEMENT_IDS.SHARE_PANEL, false),
+    [ELEMENT_IDS.CREATE_SHARE_LINK_BTN]: () => createShareLink(),
+    [ELEMENT_IDS.COPY_SHARE_LINK_BTN]: () => copyShareLink(),
+    [ELEMENT_IDS.RESTORE_BTN]: () => confirmRestore(),
+    [ELEMENT_IDS.PROFILE_PANEL_CLOSE]: () => toggleToolPanel(ELEMENT_IDS.PROFILE_PANEL, false),
+    [ELEMENT_IDS.PROFILE_CANCEL_BTN]: () => toggleToolPanel(ELEMENT_IDS.PROFILE_PANEL, false)
+};
+
+// Premium toggles and hours inputs generated from PREMIUM_RULES. Ids follow the trip field
+// keys: galleyPay -> galley-pay, galleyHours -> galley-hours-hours and galley-hours-minutes.
+const premiumForm = {
+    toId: key => key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`),
+    
+    getToggleFields: () => PREMIUM_RULES.map(rule => {
+        const id = premiumForm.toId(rule.toggle);
+        const field = { id, key: rule.toggle, label: `${id}-label` };
+        if (rule.input) field.group = `${premiumForm.toId(rule.input.key)}-group`;
+        return field;
+    }),
+    
+    getHourFields: () => PREMIUM_RULES.filter(rule => rule.input).map(rule => {
+        const id = premiumForm.toId(rule.input.key);
+        return { hours: `${id}-hours`, minutes: `${id}-minutes`, keyHours: `${rule.input.key}Hours`, keyMinutes: `${rule.input.key}Minutes` };
+    }),
+    
+    getValidationIds: () => PREMIUM_RULES.filter(rule => rule.input).map(rule => `${premiumForm.toId(rule.input.key)}-validation`),
+    
+    render: () => {
+        const container = $(ELEMENT_IDS.PREMIUM_FIELDS);
+        container.innerHTML = '';
+        PREMIUM_RULES.forEach(rule => {
+            const id = premiumForm.toId(rule.toggle);
+            const field = templateRenderer.getTemplate('premium-field-template');
+            const label = field.querySelector('.premium-label');
+            label.id = `${id}-label-text`;
+            field.querySelector('.premium-label-text').textContent = rule.formLabel || rule.label;
+            if (rule.tooltip) field.querySelector('.tooltip-text').textContent = rule.tooltip;
+            else field.querySelector('.tooltip-icon').remove();
+            field.querySelector('input').id = id;
+            field.querySelector('.toggle-slider').setAttribute('aria-labelledby', label.id);
+            field.querySelector('.toggle-label').id = `${id}-label`;
+            container.appendChild(field);
+            
+            if (!rule.input) return;
+            const inputId = premiumForm.toId(rule.input.key);
+            const hours = templateRenderer.getTemplate('premium-hours-template');
+            hours.querySelector('.conditional-form-group').id = `${inputId}-group`;
+            hours.querySelector('label').htmlFor = `${inputId}-hours`;
+            hours.querySelector('label').textContent = rule.input.label;
+            hours.querySelector('.validation-message').id = `${inputId}-validation`;
+            hours.querySelector('.premium-hours').id = `${inputId}-hours`;
+            hours.querySelector('.premium-minutes').id = `${inputId}-minutes`;
+            hours.querySelectorAll('input').forEach(input => input.setAttribute('aria-describedby', `${inputId}-validation`));
+            container.appendChild(hours);
+        });
+    }
 };
 
 // Data-driven form field configuration
@@ -204,30 +536,34 @@ const FORM_FIELDS = {
     text: [
         { id: ELEMENT_IDS.TRIP_NAME, key: 'name', required: true },
         { id: ELEMENT_IDS.PAY_YEAR, key: 'payYear', required: true },
+        { id: ELEMENT_IDS.TRIP_DATE, key: 'tripDate' },
         { id: ELEMENT_IDS.TRIP_LENGTH, key: 'tripLength', required: true },
         { id: ELEMENT_IDS.PURPLE_FLAG_PREMIUM, key: 'purpleFlagPremium', default: '1.5' },
         { id: ELEMENT_IDS.AIRCRAFT_TYPE, key: 'aircraftType', default: 'Narrow1' },
+        { id: ELEMENT_IDS.REPORT_TIME, key: 'reportTime' },
+        { id: ELEMENT_IDS.REPORT_STATION, key: 'reportStation' },
+        { id: ELEMENT_IDS.RELEASE_TIME, key: 'releaseTime' },
+        { id: ELEMENT_IDS.RELEASE_STATION, key: 'releaseStation' },
+        { id: ELEMENT_IDS.BASE_TIME_ZONE, key: 'baseTimeZone' },
         { id: ELEMENT_IDS.HOLIDAY_HOURS, key: 'holidayHours' },
-        { id: ELEMENT_IDS.RETIREMENT_PERCENTAGE, key: 'retirementPercentage' },
-        { id: ELEMENT_IDS.TAX_RATE, key: 'taxRate' }
+        { id: ELEMENT_IDS.PRINTED_CREDIT_HOURS, key: 'printedCreditHours' },
+        { id: ELEMENT_IDS.PRINTED_TAFB_HOURS, key: 'printedTafbHours' }
     ],
     
     // Hour/minute pairs (now with explicit keys)
     hours: [
         { hours: ELEMENT_IDS.CREDITED_HOURS_HOURS, minutes: ELEMENT_IDS.CREDITED_HOURS_MINUTES, keyHours: 'creditedHoursHours', keyMinutes: 'creditedHoursMinutes', required: true },
         { hours: ELEMENT_IDS.TAFB_HOURS, minutes: ELEMENT_IDS.TAFB_MINUTES, keyHours: 'tafbHours', keyMinutes: 'tafbMinutes', required: true },
-        { hours: ELEMENT_IDS.GALLEY_HOURS_HOURS, minutes: ELEMENT_IDS.GALLEY_HOURS_MINUTES, keyHours: 'galleyHoursHours', keyMinutes: 'galleyHoursMinutes' }
+        ...premiumForm.getHourFields()
     ],
     
     // Toggle switches
     toggles: [
         { id: ELEMENT_IDS.WHITE_FLAG, key: 'whiteFlag', label: ELEMENT_IDS.WHITE_FLAG_LABEL },
         { id: ELEMENT_IDS.PURPLE_FLAG, key: 'purpleFlag', label: ELEMENT_IDS.PURPLE_FLAG_LABEL },
-        { id: ELEMENT_IDS.GALLEY_PAY, key: 'galleyPay', label: ELEMENT_IDS.GALLEY_PAY_LABEL, group: ELEMENT_IDS.GALLEY_HOURS_GROUP },
         { id: ELEMENT_IDS.PURSER_PAY, key: 'purserPay', label: ELEMENT_IDS.PURSER_PAY_LABEL, group: ELEMENT_IDS.PURSER_FIELDS_GROUP },
+        ...premiumForm.getToggleFields(),
         { id: ELEMENT_IDS.INTL_OVERRIDE, key: 'intlOverride', label: ELEMENT_IDS.INTL_OVERRIDE_LABEL },
-        { id: ELEMENT_IDS.INTL_PAY_OVERRIDE, key: 'intlPayOverride', label: ELEMENT_IDS.INTL_PAY_OVERRIDE_LABEL },
-        { id: ELEMENT_IDS.LANGUAGE_PAY, key: 'languagePay', label: ELEMENT_IDS.LANGUAGE_PAY_LABEL },
         { id: ELEMENT_IDS.HOLIDAY_PAY, key: 'holidayPay', label: ELEMENT_IDS.HOLIDAY_PAY_LABEL, group: ELEMENT_IDS.HOLIDAY_HOURS_GROUP }
     ],
     
@@ -238,6 +574,21 @@ const FORM_FIELDS = {
     ]
 };
 
+// Profile panel fields
+const PROFILE_FIELDS = [
+    { id: ELEMENT_IDS.HIRE_DATE, key: 'hireDate', type: 'date' },
+    { id: ELEMENT_IDS.RETIREMENT_PERCENTAGE, key: 'retirementPercentage', type: 'percentage' },
+    { id: ELEMENT_IDS.ROTH_PERCENTAGE, key: 'rothPercentage', type: 'percentage' },
+    { id: ELEMENT_IDS.EMPLOYER_MATCH_RATE, key: 'employerMatchRate' },
+    { id: ELEMENT_IDS.EMPLOYER_MATCH_CAP, key: 'employerMatchCap', type: 'percentage' },
+    { id: ELEMENT_IDS.EMPLOYER_NON_ELECTIVE, key: 'employerNonElective', type: 'percentage' },
+    { id: ELEMENT_IDS.ANNUAL_DEFERRAL_LIMIT, key: 'annualDeferralLimit' },
+    { id: ELEMENT_IDS.YTD_DEFERRALS, key: 'ytdDeferrals' },
+    { id: ELEMENT_IDS.FILING_STATUS, key: 'filingStatus', type: 'select' },
+    { id: ELEMENT_IDS.ANNUAL_WAGES, key: 'annualWages' },
+    { id: ELEMENT_IDS.STATE_TAX_RATE, key: 'stateTaxRate', type: 'percentage' }
+];
+
 // Unified form field processor
 const formProcessor = {
     getData: () => {
@@ -267,6 +618,12 @@ const formProcessor = {
             });
         });
         
+        // Legs are optional; trips without them keep their typed totals
+        const legs = $(ELEMENT_IDS.LEG_LIST) ? legEditor.read() : [];
+        if (legs.length > 0) data.legs = legs;
+        const dutyPeriods = $(ELEMENT_IDS.DUTY_PERIOD_LIST) ? dutyPeriodEditor.read() : [];
+        if (dutyPeriods.length > 0) data.dutyPeriods = dutyPeriods;
+        
         return data;
     },
     
@@ -301,8 +658,14 @@ const formProcessor = {
             });
         });
         
+        // The base time zone first: the leg editor reads it to work out the totals
+        renderTimeZoneOptions(data.baseTimeZone);
+        dutyPeriodEditor.render(data.dutyPeriods || []);
+        legEditor.render(data.legs || []);
         updateToggleLabels();
         toggleConditionalFields();
+        syncPayYear();
+        syncHolidayHours();
     }
 };
 
@@ -311,87 +674,189 @@ const $ = id => document.getElementById(id);
 
 // Constants
 const CONSTANTS = {
-    DOMESTIC_PER_DIEM: 2.40,
-    INTERNATIONAL_PER_DIEM: 2.90,
     STORAGE_KEY: 'flightTrips',
-    VERSION: '2.1'
+    VERSION: '2.3'
+};
+
+// Save format migrations, applied one step at a time until the data reaches CONSTANTS.VERSION
+const MIGRATIONS = [
+    // Early saves were a bare array of trips
+    { from: '2.0', to: '2.1', migrate: data => ({ version: '2.1', trips: data }) },
+    // Lines, the crew profile and paystubs joined the save; retirement and tax settings moved off the trips
+    {
+        from: '2.1',
+        to: '2.2',
+        migrate: data => {
+            const trips = data.trips || [];
+            return {
+                ...data,
+                version: '2.2',
+                trips,
+                lines: data.lines || [],
+                profile: { ...DEFAULT_PROFILE, ...(data.profile || profileFromTrips(trips)) },
+                paystubs: data.paystubs || {}
+            };
+        }
+    },
+    // The hire date moved from each trip to the profile
+    {
+        from: '2.2',
+        to: '2.3',
+        migrate: data => {
+            const trips = data.trips || [];
+            // The trip flown most recently carries the current hire date; undated trips count as oldest
+            const dated = trips.filter(trip => trip.hireDate)
+                .sort((a, b) => String(a.tripDate || '').localeCompare(String(b.tripDate || '')));
+            const profile = { ...DEFAULT_PROFILE, ...(data.profile || {}) };
+            if (!profile.hireDate && dated.length > 0) profile.hireDate = dated[dated.length - 1].hireDate;
+            return {
+                ...data,
+                version: '2.3',
+                trips: trips.map(({ hireDate, ...trip }) => trip),
+                profile
+            };
+        }
+    }
+];
+
+// Metrics the ranking panel can weight; each is scored relative to the other trips
+const RANKING_METRICS = [
+    { key: 'gross', label: 'Gross Pay', getValue: calc => calc.totalGrossPay },
+    { key: 'net', label: 'Net Pay', getValue: calc => calc.netPayEstimate, needsWithholding: true },
+    { key: 'hourly', label: 'Hourly Value', getValue: calc => calc.hourlyValue },
+    { key: 'perDay', label: 'Daily Value', getValue: calc => calc.perDayValue },
+    { key: 'perTafbHour', label: 'Per TAFB Hour', getValue: calc => calc.dutyHours > 0 ? calc.totalGrossPay / calc.dutyHours : 0 },
+    { key: 'daysAway', label: 'Days Away', getValue: (calc, trip) => parseInt(trip.tripLength) || 1, lowerIsBetter: true }
+];
+
+const DEFAULT_RANKING = {
+    weights: { perDay: 1 },
+    sortByRank: false
 };
 
-// Pay rates by year
-const PAY_RATES = {
-    "Year 1": { baseRate: 28.88, flagRate: 43.32 },
-    "Year 2": { baseRate: 30.64, flagRate: 45.96 },
-    "Year 3": { baseRate: 32.59, flagRate: 48.89 },
-    "Year 4": { baseRate: 34.71, flagRate: 52.07 },
-    "Year 5": { baseRate: 38.25, flagRate: 57.38 },
-    "Year 6": { baseRate: 43.30, flagRate: 64.95 },
-    "Year 7": { baseRate: 48.41, flagRate: 72.62 },
-    "Year 8": { baseRate: 49.96, flagRate: 74.94 },
-    "Year 9": { baseRate: 51.34, flagRate: 77.01 },
-    "Year 10": { baseRate: 53.26, flagRate: 79.89 },
-    "Year 11": { baseRate: 54.73, flagRate: 82.10 },
-    "Year 12": { baseRate: 57.33, flagRate: 86.00 },
-    "Year 13+": { baseRate: 67.11, flagRate: 100.67 }
+// Cards or the side-by-side table, the trip the table's deltas are measured against, and the chart area
+const DEFAULT_COMPARISON = {
+    view: 'cards',
+    referenceTripId: null,
+    showCharts: false,
+    donutTripId: null
 };
 
 // App state
 const state = {
     trips: [],
-    editingTripId: null
+    lines: [],
+    profile: { ...DEFAULT_PROFILE },
+    paystubs: {},
+    ranking: { ...DEFAULT_RANKING },
+    comparison: { ...DEFAULT_COMPARISON },
+    pendingImport: null,
+    pendingRestore: null,
+    sharedTrips: [],
+    editingTripId: null,
+    editingLineId: null
 };
 
-// History for undo functionality
+// The pay engine prices trips against this profile and these trips
+payEngineHost.getProfile = () => state.profile;
+payEngineHost.getTrips = () => state.trips;
+
+// History for undo/redo - each entry holds the data as it was before the operation
 const history = {
-    lastOperation: null,
-    lastState: null,
+    LIMIT: 50,
+    undoStack: [],
+    redoStack: [],
+    
+    // Each entry snapshots all saved data, so every change to trips, lines, the profile or a
+    // paystub takes its own entry; undo then rolls back only the newest change
+    snapshot: () => JSON.parse(JSON.stringify({
+        trips: state.trips,
+        lines: state.lines,
+        profile: state.profile,
+        paystubs: state.paystubs
+    })),
+    
+    restore: (snapshot) => {
+        state.trips = snapshot.trips;
+        state.lines = snapshot.lines;
+        state.profile = snapshot.profile;
+        state.paystubs = snapshot.paystubs;
+        renderTrips();
+        syncPayYear();
+        setProfileFormData(state.profile);
+        renderPaystubCheckOptions();
+    },
     
-    saveState: function(operation, tripId) {
+    saveState: function(operation, label) {
         try {
-            this.lastOperation = operation;
-            this.lastState = JSON.parse(JSON.stringify(state.trips));
-            console.log(`Saved state before ${operation} operation on trip ${tripId}`);
+            this.undoStack.push({ operation, label, timestamp: Date.now(), snapshot: this.snapshot() });
+            if (this.undoStack.length > this.LIMIT) this.undoStack.shift();
+            this.redoStack = [];
+            renderHistoryPanel();
         } catch (error) {
             console.error('Error saving history state:', error);
         }
     },
     
     undoLastOperation: function() {
-        if (!this.lastState || !this.lastOperation) {
+        const entry = this.undoStack.pop();
+        if (!entry) {
             showToast('Nothing to undo', 'info');
             return false;
         }
         
-        state.trips = this.lastState;
-        const operation = this.lastOperation;
-        this.lastState = null;
-        this.lastOperation = null;
+        this.redoStack.push({ ...entry, snapshot: this.snapshot() });
+        this.restore(entry.snapshot);
+        renderHistoryPanel();
+        showToast(`Undid ${entry.operation} of ${entry.label}`, 'success');
+        return true;
+    },
+    
+    redoLastOperation: function() {
+        const entry = this.redoStack.pop();
+        if (!entry) {
+            showToast('Nothing to redo', 'info');
+            return false;
+        }
         
-        renderTrips();
-        showToast(`Undid last ${operation}`, 'success');
+        this.undoStack.push({ ...entry, snapshot: this.snapshot() });
+        this.restore(entry.snapshot);
+        renderHistoryPanel();
+        showToast(`Redid ${entry.operation} of ${entry.label}`, 'success');
         return true;
     }
 };
 
-// Utility functions
-const utils = {
-    formatCurrency: value => {
-            const num = parseFloat(value);
-        return isNaN(num) ? '$0.00' : '$' + num.toFixed(2);
-    },
-    
-    parseHM: (hours, minutes) => {
-        const h = parseInt(hours) || 0;
-        const m = parseInt(minutes) || 0;
-        return h + (m / 60);
-    },
-    
-    generateId: () => Math.random().toString(36).substr(2, 9),
+// History panel - undone entries stay listed until a new change replaces them
+function renderHistoryPanel() {
+    const list = $(ELEMENT_IDS.HISTORY_LIST);
+    if (!list) return;
+    list.innerHTML = '';
+    $(ELEMENT_IDS.UNDO_BTN).disabled = history.undoStack.length === 0;
+    $(ELEMENT_IDS.REDO_BTN).disabled = history.redoStack.length === 0;
     
-    getRandomColor: () => {
-        const colors = ['#3a36e0', '#ff9d00', '#00c48c', '#0084ff', '#7C3AED', '#0EA5E9', '#F97316', '#10B981', '#EC4899'];
-        return colors[Math.floor(Math.random() * colors.length)];
+    const entries = [
+        ...history.redoStack.map(entry => ({ ...entry, undone: true })),
+        ...history.undoStack.slice().reverse()
+    ];
+    if (entries.length === 0) {
+        list.innerHTML = '<li class="form-help-text">No changes yet this session.</li>';
+        return;
     }
-};
+    
+    entries.forEach(entry => {
+        const item = document.createElement('li');
+        item.className = `history-entry${entry.undone ? ' history-undone' : ''}`;
+        const time = document.createElement('time');
+        time.dateTime = new Date(entry.timestamp).toISOString();
+        time.textContent = new Date(entry.timestamp).toLocaleTimeString();
+        const text = document.createElement('span');
+        text.textContent = `${entry.operation.charAt(0).toUpperCase()}${entry.operation.slice(1)} ${entry.label}${entry.undone ? ' (undone)' : ''}`;
+        item.appendChild(time);
+        item.appendChild(text);
+        list.appendChild(item);
+    });
+}
 
 // Helper function to get flag display text
 function getFlagDisplayText(trip) {
@@ -411,62 +876,278 @@ function getFlagDisplayText(trip) {
     }
 }
 
+// Leg editor in the trip form
+const legEditor = {
+    // Inputs that are derived from the legs whenever any are entered
+    derivedInputs: [
+        ELEMENT_IDS.CREDITED_HOURS_HOURS, ELEMENT_IDS.CREDITED_HOURS_MINUTES,
+        ELEMENT_IDS.TAFB_HOURS, ELEMENT_IDS.TAFB_MINUTES, ELEMENT_IDS.TRIP_LENGTH,
+        ELEMENT_IDS.PURSER_US_HOURS, ELEMENT_IDS.PURSER_NON_US_HOURS
+    ],
+    
+    addRow: (leg = {}) => {
+        const template = templateRenderer.getTemplate('leg-row-template');
+        const row = template.querySelector('.leg-row');
+        row.querySelector('.leg-flight').value = leg.flightNumber || '';
+        row.querySelector('.leg-origin').value = leg.origin || '';
+        row.querySelector('.leg-destination').value = leg.destination || '';
+        row.querySelector('.leg-out').value = leg.out || '';
+        row.querySelector('.leg-in').value = leg.in || '';
+        row.querySelector('.leg-deadhead').checked = !!leg.deadhead;
+        row.querySelector('.leg-remove').addEventListener('click', () => {
+            row.remove();
+            legEditor.sync();
+        });
+        row.addEventListener('change', legEditor.sync);
+        $(ELEMENT_IDS.LEG_LIST).appendChild(row);
+    },
+    
+    read: () => Array.from($(ELEMENT_IDS.LEG_LIST).querySelectorAll('.leg-row')).map(row => ({
+        flightNumber: row.querySelector('.leg-flight').value.trim(),
+        origin: row.querySelector('.leg-origin').value.trim().toUpperCase(),
+        destination: row.querySelector('.leg-destination').value.trim().toUpperCase(),
+        out: row.querySelector('.leg-out').value,
+        in: row.querySelector('.leg-in').value,
+        deadhead: row.querySelector('.leg-deadhead').checked
+    })).filter(leg => leg.flightNumber || leg.origin || leg.destination || leg.out || leg.in),
+    
+    render: (legs) => {
+        const list = $(ELEMENT_IDS.LEG_LIST);
+        if (!list) return;
+        list.innerHTML = '';
+        (legs || []).forEach(leg => legEditor.addRow(leg));
+        legEditor.sync();
+    },
+    
+    // Mark station codes missing from STATIONS; their legs stay out of the totals
+    flagUnknownStations: () => {
+        $(ELEMENT_IDS.LEG_LIST).querySelectorAll('.leg-origin, .leg-destination').forEach(input => {
+            markUnknownStation(input);
+        });
+        const unknown = legModel.getUnknownStations(legEditor.read());
+        const warning = $(ELEMENT_IDS.LEG_STATION_WARNING);
+        warning.textContent = unknown.length === 1
+            ? `${unknown[0]} is not a known station, so its legs are left out of the totals. Check the code.`
+            : `${unknown.join(', ')} are not known stations, so their legs are left out of the totals. Check the codes.`;
+        warning.style.display = unknown.length > 0 ? 'block' : 'none';
+    },
+    
+    // Fill the derived inputs from the legs and lock them while legs are present
+    sync: () => {
+        if (!$(ELEMENT_IDS.LEG_LIST)) return;
+        const legs = legEditor.read();
+        const baseTimeZone = $(ELEMENT_IDS.BASE_TIME_ZONE).value;
+        const hasLegs = !!legModel.deriveTotals(legs, baseTimeZone);
+        
+        if (hasLegs) {
+            const derived = legModel.applyTo({ legs, baseTimeZone });
+            $(ELEMENT_IDS.CREDITED_HOURS_HOURS).value = derived.creditedHoursHours;
+            $(ELEMENT_IDS.CREDITED_HOURS_MINUTES).value = derived.creditedHoursMinutes;
+            $(ELEMENT_IDS.TAFB_HOURS).value = derived.tafbHours;
+            $(ELEMENT_IDS.TAFB_MINUTES).value = derived.tafbMinutes;
+            $(ELEMENT_IDS.TRIP_LENGTH).value = derived.tripLength;
+            $(ELEMENT_IDS.PURSER_US_HOURS).value = derived.purserUSHours;
+            $(ELEMENT_IDS.PURSER_NON_US_HOURS).value = derived.purserNonUSHours;
+        }
+        legEditor.derivedInputs.forEach(id => {
+            const input = $(id);
+            if (input) input.readOnly = hasLegs;
+        });
+        // Selects ignore readOnly
+        $(ELEMENT_IDS.TRIP_LENGTH).disabled = hasLegs;
+        legEditor.flagUnknownStations();
+        syncReportReleaseTafb();
+        syncCreditGuarantee();
+        validateHours();
+    }
+};
+
+// Duty period editor in the trip form; duty and block hours are decimal hours
+const dutyPeriodEditor = {
+    addRow: (period = {}) => {
+        const row = templateRenderer.getTemplate('duty-period-row-template').querySelector('.duty-period-row');
+        row.querySelector('.duty-period-duty').value = period.dutyHours || '';
+        row.querySelector('.duty-period-block').value = period.blockHours || '';
+        row.querySelector('.duty-period-remove').addEventListener('click', () => {
+            row.remove();
+            syncCreditGuarantee();
+        });
+        row.addEventListener('change', syncCreditGuarantee);
+        $(ELEMENT_IDS.DUTY_PERIOD_LIST).appendChild(row);
+    },
+    
+    read: () => Array.from($(ELEMENT_IDS.DUTY_PERIOD_LIST).querySelectorAll('.duty-period-row')).map(row => ({
+        dutyHours: row.querySelector('.duty-period-duty').value,
+        blockHours: row.querySelector('.duty-period-block').value
+    })).filter(period => period.dutyHours || period.blockHours),
+    
+    // Rows only; the leg editor's sync that follows works out the credit
+    render: (dutyPeriods) => {
+        const list = $(ELEMENT_IDS.DUTY_PERIOD_LIST);
+        if (!list) return;
+        list.innerHTML = '';
+        dutyPeriods.forEach(period => dutyPeriodEditor.addRow(period));
+    }
+};
+
+// Raise an hour/minute input pair to at least `floorHours`; returns the hours it held before
+function raiseHoursInputs(hoursId, minutesId, floorHours) {
+    const hours = utils.parseHM($(hoursId).value, $(minutesId).value);
+    if (floorHours > hours + 0.005) {
+        const floor = utils.splitHM(floorHours);
+        $(hoursId).value = floor.hours;
+        $(minutesId).value = floor.minutes;
+    }
+    return hours;
+}
+
+// Fill credited hours from the credit guarantees and lock them while duty periods are entered.
+// A pasted pairing's printed TAFB and credit are floors under what the form works out.
+function syncCreditGuarantee() {
+    const printed = printedTotals.get(formProcessor.getData());
+    const workedOutTafb = raiseHoursInputs(ELEMENT_IDS.TAFB_HOURS, ELEMENT_IDS.TAFB_MINUTES, printed.tafbHours);
+    const formData = formProcessor.getData();
+    const tafbHours = utils.parseHM(formData.tafbHours, formData.tafbMinutes);
+    const guarantee = creditGuarantees.calculate(formData, contractTables.resolve(formData).table, tafbHours);
+    const note = $(ELEMENT_IDS.CREDIT_GUARANTEE);
+    
+    if (guarantee) {
+        const credit = utils.splitHM(guarantee.creditHours);
+        $(ELEMENT_IDS.CREDITED_HOURS_HOURS).value = credit.hours;
+        $(ELEMENT_IDS.CREDITED_HOURS_MINUTES).value = credit.minutes;
+        const { totals } = guarantee;
+        note.textContent = `${creditGuarantees.describe(guarantee)}. Block ${utils.formatHours(totals.block)}, ` +
+            `duty rig ${utils.formatHours(totals.dutyRig)}, minimum day ${utils.formatHours(totals.minimumDay)}, trip rig ${utils.formatHours(totals.tripRig)}.`;
+    }
+    note.style.display = guarantee ? 'block' : 'none';
+    const workedOutCredit = raiseHoursInputs(ELEMENT_IDS.CREDITED_HOURS_HOURS, ELEMENT_IDS.CREDITED_HOURS_MINUTES, printed.creditHours);
+    
+    // Show the printout's totals, and what they are paid over when they win
+    const describePrinted = (label, printedHours, workedOutHours) => `${label} ${utils.formatHours(printedHours)}` +
+        (printedHours > workedOutHours + 0.005 ? ` (worked out ${utils.formatHours(workedOutHours)})` : '');
+    const printedParts = [
+        printed.creditHours > 0 && describePrinted('credit', printed.creditHours, workedOutCredit),
+        printed.tafbHours > 0 && describePrinted('TAFB', printed.tafbHours, workedOutTafb)
+    ].filter(Boolean);
+    $(ELEMENT_IDS.PRINTED_TOTALS_TEXT).textContent = `Printed on the pairing and paid as minimums: ${printedParts.join(', ')}.`;
+    $(ELEMENT_IDS.PRINTED_TOTALS).hidden = printedParts.length === 0;
+    const locked = !!guarantee || !!legModel.deriveTotals(legEditor.read(), $(ELEMENT_IDS.BASE_TIME_ZONE).value);
+    [ELEMENT_IDS.CREDITED_HOURS_HOURS, ELEMENT_IDS.CREDITED_HOURS_MINUTES].forEach(id => { $(id).readOnly = locked; });
+    validateHours();
+}
+
+// Flag a station input whose code is missing from STATIONS
+function markUnknownStation(input) {
+    const code = input.value.trim();
+    if (code && !legModel.isKnownStation(code)) {
+        input.setAttribute('aria-invalid', 'true');
+        input.title = `${code.toUpperCase()} is not a known station`;
+    } else {
+        input.removeAttribute('aria-invalid');
+        input.removeAttribute('title');
+    }
+}
+
+// Fill TAFB from the report and release times and lock it while both are given.
+// An unknown report or release station is flagged and leaves TAFB to be typed.
+function syncReportReleaseTafb() {
+    [ELEMENT_IDS.REPORT_STATION, ELEMENT_IDS.RELEASE_STATION].forEach(id => markUnknownStation($(id)));
+    const tafbHours = reportRelease.getTafbHours(formProcessor.getData());
+    if (tafbHours !== null) {
+        const tafb = utils.splitHM(tafbHours);
+        $(ELEMENT_IDS.TAFB_HOURS).value = tafb.hours;
+        $(ELEMENT_IDS.TAFB_MINUTES).value = tafb.minutes;
+    }
+    const locked = tafbHours !== null || !!legModel.deriveTotals(legEditor.read(), $(ELEMENT_IDS.BASE_TIME_ZONE).value);
+    [ELEMENT_IDS.TAFB_HOURS, ELEMENT_IDS.TAFB_MINUTES].forEach(id => { $(id).readOnly = locked; });
+}
+
+// Trip validation rules shared by the trip form and spreadsheet import
+const tripRules = {
+    isOn: value => value === 'Yes' || value === true,
+    
+    getMissingFields: (tripData) => FORM_FIELDS.text
+        .filter(field => field.required && !String(tripData[field.key] || '').trim())
+        .map(field => field.key),
+    
+    getSpecialHoursError: (tripData) => {
+        const creditedHours = utils.parseHM(tripData.creditedHoursHours, tripData.creditedHoursMinutes);
+        const purserHours = tripRules.isOn(tripData.purserPay) ?
+            (parseFloat(tripData.purserUSHours) || 0) + (parseFloat(tripData.purserNonUSHours) || 0) : 0;
+        const totalSpecialHours = premiumRules.getSpecialHours(tripData) + purserHours;
+        return totalSpecialHours <= creditedHours ? null :
+            `Special hours (${totalSpecialHours.toFixed(2)}) exceed credited hours (${creditedHours.toFixed(2)})`;
+    },
+    
+    getReleaseError: (tripData) => (tripData.reportTime && tripData.releaseTime &&
+        reportRelease.getTafbHours(tripData) === null) ? 'Release must be after report' : null,
+    
+    // A trip can span several holidays, but no more than a whole day on each of its days
+    getMaxHolidayHours: tripData => 24 * (parseInt(tripData.tripLength) || 1),
+    
+    getHolidayHoursError: (tripData) => {
+        if (!tripRules.isOn(tripData.holidayPay)) return null;
+        const tafbHours = utils.parseHM(tripData.tafbHours, tripData.tafbMinutes);
+        const holidayHours = parseFloat(tripData.holidayHours) || 0;
+        const maxHours = tripRules.getMaxHolidayHours(tripData);
+        if (holidayHours > maxHours) {
+            return `Holiday hours (${holidayHours.toFixed(2)}) cannot exceed 24 per trip day (${maxHours.toFixed(2)})`;
+        }
+        return holidayHours <= tafbHours ? null :
+            `Holiday hours (${holidayHours.toFixed(2)}) cannot exceed TAFB time (${tafbHours.toFixed(2)})`;
+    },
+    
+    // Every rule the trip form enforces, as messages
+    validate: (tripData) => [
+        ...tripRules.getMissingFields(tripData).map(key => `Missing ${key}`),
+        tripRules.getSpecialHoursError(tripData),
+        tripRules.getReleaseError(tripData),
+        tripRules.getHolidayHoursError(tripData)
+    ].filter(Boolean)
+};
+
 // Hour validation function
 function validateHours() {
     try {
-        // Parse all hour inputs
-        const creditedHours = utils.parseHM($(ELEMENT_IDS.CREDITED_HOURS_HOURS).value, $(ELEMENT_IDS.CREDITED_HOURS_MINUTES).value);
-        const tafbHours = utils.parseHM($(ELEMENT_IDS.TAFB_HOURS).value, $(ELEMENT_IDS.TAFB_MINUTES).value);
-        
-        // Calculate special hours
-        const galleyHours = $(ELEMENT_IDS.GALLEY_PAY).checked ? 
-            utils.parseHM($(ELEMENT_IDS.GALLEY_HOURS_HOURS).value, $(ELEMENT_IDS.GALLEY_HOURS_MINUTES).value) : 0;
-        const purserUSHours = $(ELEMENT_IDS.PURSER_PAY).checked ? parseFloat($(ELEMENT_IDS.PURSER_US_HOURS).value) || 0 : 0;
-        const purserNonUSHours = $(ELEMENT_IDS.PURSER_PAY).checked ? parseFloat($(ELEMENT_IDS.PURSER_NON_US_HOURS).value) || 0 : 0;
+        const tripData = formProcessor.getData();
         
-        const totalSpecialHours = galleyHours + purserUSHours + purserNonUSHours;
+        // Special hours can't exceed credited hours
+        const specialHoursError = tripRules.getSpecialHoursError(tripData);
+        const isValid = !specialHoursError;
         
-        // Check if special hours exceed credited hours
-        const isValid = totalSpecialHours <= creditedHours;
-
-        // Update validation messages
-            const message = `Special hours (${totalSpecialHours.toFixed(2)}) exceed credited hours (${creditedHours.toFixed(2)})`;
-            
-        if ($(ELEMENT_IDS.GALLEY_PAY).checked) {
-            const validation = $(ELEMENT_IDS.GALLEY_HOURS_VALIDATION);
+        PREMIUM_RULES.filter(rule => rule.specialHours && premiumRules.isOn(rule, tripData)).forEach(rule => {
+            const validation = $(`${premiumForm.toId(rule.input.key)}-validation`);
             if (validation) {
-                validation.textContent = isValid ? '' : message;
+                validation.textContent = specialHoursError || '';
                 validation.style.display = isValid ? 'none' : 'block';
             }
-        }
+        });
         
-        if ($(ELEMENT_IDS.PURSER_PAY).checked) {
+        if (tripRules.isOn(tripData.purserPay)) {
             const usValidation = $(ELEMENT_IDS.PURSER_US_HOURS_VALIDATION);
             const nonUSValidation = $(ELEMENT_IDS.PURSER_NON_US_HOURS_VALIDATION);
             if (usValidation && nonUSValidation) {
-                usValidation.textContent = isValid ? '' : message;
-                nonUSValidation.textContent = isValid ? '' : message;
+                usValidation.textContent = specialHoursError || '';
+                nonUSValidation.textContent = specialHoursError || '';
                 usValidation.style.display = isValid ? 'none' : 'block';
                 nonUSValidation.style.display = isValid ? 'none' : 'block';
             }
         }
         
+        // Release must come after report
+        const releaseInvalid = !!tripRules.getReleaseError(tripData);
+        const releaseValidation = $(ELEMENT_IDS.RELEASE_TIME_VALIDATION);
+        if (releaseValidation) releaseValidation.style.display = releaseInvalid ? 'block' : 'none';
+        if (releaseInvalid) return false;
+        
         // Validate holiday hours against TAFB time
-        const holidayHours = $(ELEMENT_IDS.HOLIDAY_PAY).checked ? parseFloat($(ELEMENT_IDS.HOLIDAY_HOURS).value) || 0 : 0;
-        if ($(ELEMENT_IDS.HOLIDAY_PAY).checked && holidayHours > tafbHours) {
-            const message = `Holiday hours (${holidayHours.toFixed(2)}) cannot exceed TAFB time (${tafbHours.toFixed(2)})`;
-            const validation = $(ELEMENT_IDS.HOLIDAY_HOURS_VALIDATION);
-            if (validation) {
-                validation.textContent = message;
-                validation.style.display = 'block';
-            }
-            return false;
-        } else {
-            const validation = $(ELEMENT_IDS.HOLIDAY_HOURS_VALIDATION);
-            if (validation) {
-                validation.style.display = 'none';
-            }
+        const holidayHoursError = tripRules.getHolidayHoursError(tripData);
+        const holidayValidation = $(ELEMENT_IDS.HOLIDAY_HOURS_VALIDATION);
+        if (holidayValidation) {
+            if (holidayHoursError) holidayValidation.textContent = holidayHoursError;
+            holidayValidation.style.display = holidayHoursError ? 'block' : 'none';
         }
+        if (holidayHoursError) return false;
         
         return isValid;
     } catch (error) {
@@ -484,23 +1165,89 @@ function resetForm() {
     $(ELEMENT_IDS.TRIP_FORM).reset();
     $(ELEMENT_IDS.TRIP_ID).value = '';
     state.editingTripId = null;
+    dutyPeriodEditor.render([]);
+    legEditor.render([]);
     
     // Clear validation messages
     const validations = [
-        ELEMENT_IDS.GALLEY_HOURS_VALIDATION, 
+        ...premiumForm.getValidationIds(),
         ELEMENT_IDS.PURSER_US_HOURS_VALIDATION, 
         ELEMENT_IDS.PURSER_NON_US_HOURS_VALIDATION, 
-        ELEMENT_IDS.HOLIDAY_HOURS_VALIDATION
+        ELEMENT_IDS.HOLIDAY_HOURS_VALIDATION,
+        ELEMENT_IDS.RELEASE_TIME_VALIDATION
     ];
     validations.forEach(id => {
         const validation = $(id);
         if (validation) validation.style.display = 'none';
     });
     
+    const pairingReport = $(ELEMENT_IDS.PAIRING_PARSE_REPORT);
+    if (pairingReport) pairingReport.style.display = 'none';
+    
+    renderTimeZoneOptions();
+    updateToggleLabels();
+    toggleConditionalFields();
+    syncPayYear();
+    syncHolidayHours();
+}
+
+// Work out holiday hours from the report and release times when both are given
+function syncHolidayHours() {
+    const holidayInput = $(ELEMENT_IDS.HOLIDAY_HOURS);
+    const breakdown = $(ELEMENT_IDS.HOLIDAY_BREAKDOWN);
+    if (!holidayInput || !breakdown) return;
+    
+    const formData = formProcessor.getData();
+    const { table } = contractTables.resolve(formData);
+    const overlaps = holidayCalendar.forTrip(formData, table);
+    
+    holidayInput.readOnly = !!overlaps;
+    breakdown.innerHTML = '';
+    if (!overlaps) return;
+    
+    // The toggle follows the hours only when they change, so it can still be switched off
+    const total = overlaps.reduce((sum, holiday) => sum + holiday.hours, 0);
+    if (holidayInput.value !== total.toFixed(2)) $(ELEMENT_IDS.HOLIDAY_PAY).checked = total > 0;
+    holidayInput.value = total.toFixed(2);
+    overlaps.forEach(holiday => {
+        const item = document.createElement('li');
+        item.textContent = `${holiday.name} (${holiday.date}): ${utils.formatHours(holiday.hours)}`;
+        breakdown.appendChild(item);
+    });
     updateToggleLabels();
     toggleConditionalFields();
 }
 
+// Fill the base time zone list, keeping any saved zone that is not in it
+function renderTimeZoneOptions(selected) {
+    const select = $(ELEMENT_IDS.BASE_TIME_ZONE);
+    if (!select) return;
+    const zones = [...new Set([timeZones.getDefaultZone(), ...timeZones.BASE_ZONES, ...(selected ? [selected] : [])])];
+    select.innerHTML = '';
+    zones.forEach(zone => {
+        const option = document.createElement('option');
+        option.value = zone;
+        option.textContent = zone.replace(/_/g, ' ');
+        select.appendChild(option);
+    });
+    select.value = selected || timeZones.getDefaultZone();
+}
+
+// Derive the pay year from the profile's hire date when one is given
+function syncPayYear() {
+    const payYearSelect = $(ELEMENT_IDS.PAY_YEAR);
+    const tripDateInput = $(ELEMENT_IDS.TRIP_DATE);
+    if (!payYearSelect) return;
+
+    if (state.profile.hireDate) {
+        const { payYear } = contractTables.resolve({ tripDate: tripDateInput ? tripDateInput.value : '' });
+        payYearSelect.value = payYear;
+        payYearSelect.disabled = true;
+    } else {
+        payYearSelect.disabled = false;
+    }
+}
+
 // Update toggle labels
 function updateToggleLabels() {
     FORM_FIELDS.toggles.forEach(field => {
@@ -534,89 +1281,75 @@ function toggleConditionalFields() {
             });
         }
 
-// Calculate trip pay
-function calculateTripPay(tripData) {
-    try {
-        const payYear = tripData.payYear || 'Year 1';
-        const payData = PAY_RATES[payYear] || PAY_RATES["Year 1"];
-        
-        // Parse basic data
-        const creditedHours = utils.parseHM(tripData.creditedHoursHours, tripData.creditedHoursMinutes);
-        const dutyHours = utils.parseHM(tripData.tafbHours, tripData.tafbMinutes);
-        const tripLength = parseInt(tripData.tripLength) || 1;
-        
-        // Parse flag settings
-        const whiteFlag = tripData.whiteFlag === 'Yes' || tripData.whiteFlag === true;
-        const purpleFlag = tripData.purpleFlag === 'Yes' || tripData.purpleFlag === true;
-        const purplePremium = parseFloat(tripData.purpleFlagPremium) || 1.5;
-        
-        // Calculate rates (separate base from flags)
-        const baseRate = payData.baseRate;
-        const flagMultiplier = (whiteFlag ? 1.5 : 1) * (purpleFlag ? purplePremium : 1);
-        const effectiveRate = baseRate * flagMultiplier;
-
-        // Calculate pay components with separated flag pay
-        const payComponents = {
-            basePay: creditedHours * baseRate, // Pure base pay without flags
-            whiteFlagPay: whiteFlag ? creditedHours * baseRate * 0.5 : 0, // 50% bonus
-            purpleFlagPay: purpleFlag ? creditedHours * baseRate * (purplePremium - 1) : 0, // Premium bonus
-            galleyPay: tripData.galleyPay === 'Yes' ? utils.parseHM(tripData.galleyHoursHours, tripData.galleyHoursMinutes) * baseRate : 0, // Base rate only for galley
-            galleyWhiteFlagPay: (tripData.galleyPay === 'Yes' && whiteFlag) ? utils.parseHM(tripData.galleyHoursHours, tripData.galleyHoursMinutes) * baseRate * 0.5 : 0,
-            galleyPurpleFlagPay: (tripData.galleyPay === 'Yes' && purpleFlag) ? utils.parseHM(tripData.galleyHoursHours, tripData.galleyHoursMinutes) * baseRate * (purplePremium - 1) : 0,
-            purserPay: 0,
-            perDiem: dutyHours * (tripData.intlOverride === 'Yes' ? CONSTANTS.INTERNATIONAL_PER_DIEM : CONSTANTS.DOMESTIC_PER_DIEM),
-            languagePay: tripData.languagePay === 'Yes' ? creditedHours * 2.50 : 0,
-            intlOverridePay: tripData.intlPayOverride === 'Yes' ? creditedHours * 2 : 0,
-            holidayPay: 0
-        };
-
-        
-        // Calculate purser pay
-        if (tripData.purserPay === 'Yes') {
-            const purserUS = parseFloat(tripData.purserUSHours) || 0;
-            const purserNonUS = parseFloat(tripData.purserNonUSHours) || 0;
-            const rates = { 'Narrow1': [1, 2], 'Narrow2': [2, 3], 'Wide': [3, 4] };
-            const [usRate, nonUSRate] = rates[tripData.aircraftType] || rates['Narrow1'];
-            payComponents.purserPay = purserUS * usRate + purserNonUS * nonUSRate;
-        }
-        
-        // Calculate holiday pay (using effective rate to maintain current behavior)
-        if (tripData.holidayPay === 'Yes' && dutyHours > 0) {
-            const holidayHours = parseFloat(tripData.holidayHours) || 0;
-            payComponents.holidayPay = (effectiveRate * creditedHours / dutyHours) * holidayHours;
-        }
-
-        // Calculate totals
-        const totalGrossPay = Object.values(payComponents).reduce((sum, val) => sum + val, 0);
-        const retirementDeduction = totalGrossPay * (parseFloat(tripData.retirementPercentage) / 100);
-        const netPayEstimate = (totalGrossPay - retirementDeduction) * (1 - parseFloat(tripData.taxRate) / 100);
-        
-        return {
-            ...payComponents,
-            baseRate, effectiveRate, totalGrossPay, netPayEstimate,
-            hourlyValue: creditedHours > 0 ? totalGrossPay / creditedHours : 0,
-            perDayValue: tripLength > 0 ? totalGrossPay / tripLength : 0
-        };
-    } catch (error) {
-        console.error('Error calculating trip pay:', error);
-        return { 
-            baseRate: 0, effectiveRate: 0, basePay: 0, whiteFlagPay: 0, purpleFlagPay: 0, 
-            galleyPay: 0, galleyWhiteFlagPay: 0, galleyPurpleFlagPay: 0, purserPay: 0, 
-            intlOverridePay: 0, languagePay: 0, perDiem: 0, holidayPay: 0, 
-            totalGrossPay: 0, netPayEstimate: 0, hourlyValue: 0, perDayValue: 0 
-        };
+// Parse the pasted pairing and fill the trip form, reporting anything not understood
+function applyPastedPairing() {
+    const report = $(ELEMENT_IDS.PAIRING_PARSE_REPORT);
+    const result = pairingParser.parse($(ELEMENT_IDS.PAIRING_TEXT).value);
+    report.innerHTML = '';
+    
+    if (result.legs.length === 0 && !result.totals.credit) {
+        report.className = 'validation-message';
+        report.textContent = 'No legs or totals found in the pasted pairing.';
+        report.style.display = 'block';
+        return;
+    }
+    
+    const current = formProcessor.getData();
+    const parsed = pairingParser.toFormData(result);
+    if (current.name) delete parsed.name;
+    formProcessor.setData({ ...current, ...parsed });
+    validateHours();
+    
+    const summary = document.createElement('p');
+    summary.textContent = `Parsed ${result.legs.length} leg${result.legs.length === 1 ? '' : 's'} in ${result.dutyPeriods.length} duty period${result.dutyPeriods.length === 1 ? '' : 's'}: ` +
+        `block ${utils.formatHours(result.blockHours)}, credit ${utils.formatHours(result.creditHours)}, TAFB ${utils.formatHours(result.tafbHours)}.`;
+    report.appendChild(summary);
+    
+    const problems = [
+        ...result.warnings,
+        ...result.unparsed.map(item => `Line ${item.lineNumber} not understood: "${item.text}"`)
+    ];
+    if (problems.length > 0) {
+        const list = document.createElement('ul');
+        problems.forEach(problem => {
+            const item = document.createElement('li');
+            item.textContent = problem;
+            list.appendChild(item);
+        });
+        report.appendChild(list);
     }
+    report.className = `pairing-parse-report ${result.unparsed.length > 0 ? 'has-errors' : ''}`;
+    report.style.display = 'block';
+    showToast(result.unparsed.length > 0 ? `Pairing parsed with ${result.unparsed.length} unreadable line(s)` : 'Pairing parsed', result.unparsed.length > 0 ? 'warning' : 'success');
 }
 
 // Show toast notification with undo support
 const showToast = (message, type = 'info') => templateRenderer.renderToast(message, type);
 
+// Copy a text field's value. Without the clipboard API (plain http, older browsers) or when it
+// refuses, the text is selected for copying by hand.
+function copyFieldText(id, copiedMessage, noun) {
+    const field = $(id);
+    const selectForManualCopy = (reason) => {
+        field.select();
+        showToast(`${reason} - the ${noun} is selected, copy it manually`, 'error');
+    };
+    if (!navigator.clipboard) {
+        selectForManualCopy('Copying is not available here');
+        return;
+    }
+    navigator.clipboard.writeText(field.value)
+        .then(() => showToast(copiedMessage, 'success'))
+        .catch(() => selectForManualCopy('Copy failed'));
+}
+
 // Toggle side panel with focus trap
 function toggleSidePanel(show = true) {
     const panel = $(ELEMENT_IDS.SIDE_PANEL);
     const addBtn = $(ELEMENT_IDS.ADD_TRIP_BTN);
     
     if (show) {
+        closeToolPanels();
         panel.classList.remove('collapsed');
         addBtn.style.display = 'none';
         setTimeout(() => $(ELEMENT_IDS.TRIP_NAME).focus(), 100);
@@ -628,7 +1361,25 @@ function toggleSidePanel(show = true) {
     }
 }
 
+// Toggle a tool panel (lines, etc.), closing the trip panel and any other tool panel
+function toggleToolPanel(panelId, show = true) {
+    const panel = $(panelId);
+    if (!panel) return;
+    
+    if (show) {
+        toggleSidePanel(false);
+        closeToolPanels();
+        panel.classList.remove('collapsed');
+        const firstField = panel.querySelector('input, select, textarea');
+        if (firstField) setTimeout(() => firstField.focus(), 100);
+    } else {
+        panel.classList.add('collapsed');
+    }
+}
 
+function closeToolPanels() {
+    document.querySelectorAll('.tool-panel').forEach(panel => panel.classList.add('collapsed'));
+}
 
 // Focus trap functions
 function setupFocusTrap() {
@@ -689,21 +1440,12 @@ const templateRenderer = {
         deleteBtn.dataset.id = trip.id;
         editBtn.addEventListener('click', () => editTrip(trip.id));
         deleteBtn.addEventListener('click', () => deleteTrip(trip.id));
+        card.querySelector('.move-trip-left').addEventListener('click', () => tripOperations.move(trip.id, -1));
+        card.querySelector('.move-trip-right').addEventListener('click', () => tripOperations.move(trip.id, 1));
         
         // Populate details
         const details = card.querySelector('.trip-details');
-        const detailData = [
-            { label: 'Pay Year', value: trip.payYear || 'Year 1' },
-            { label: 'Flags', value: getFlagDisplayText(trip) },
-            { label: 'Credited Hours', value: `${trip.creditedHoursHours || 0}h ${trip.creditedHoursMinutes || 0}m` },
-            { label: 'TAFB time', value: `${trip.tafbHours || 0}h ${trip.tafbMinutes || 0}m` },
-            { label: 'Trip Length', value: `${trip.tripLength || 1} day${parseInt(trip.tripLength) > 1 ? 's' : ''}` },
-            { label: 'Galley Hours', value: `${trip.galleyHoursHours || 0}h ${trip.galleyHoursMinutes || 0}m`, condition: trip.galleyPay === 'Yes' }
-        ];
-        
-        const filteredDetails = detailData.filter(item => 
-            item.condition === undefined || item.condition === null || item.condition
-        );
+        const filteredDetails = templateRenderer.getTripDetailRows(trip, calculation);
         
         filteredDetails.forEach(item => {
             const detailTemplate = templateRenderer.getTemplate('trip-detail-template');
@@ -715,198 +1457,2137 @@ const templateRenderer = {
         
         // Populate summary
         const summary = card.querySelector('.trip-summary');
+        const filteredSummary = templateRenderer.getTripSummaryRows(calculation);
+        
+        filteredSummary.forEach(item => {
+            const summaryTemplate = templateRenderer.getTemplate('trip-summary-template');
+            const summaryItem = summaryTemplate.querySelector('.trip-summary-item');
+            if (item.highlight) summaryItem.classList.add('highlight');
+            summaryItem.querySelector('.trip-summary-label').textContent = item.label;
+            summaryItem.querySelector('.trip-summary-value').textContent = item.value;
+            summary.appendChild(summaryItem);
+        });
+        
+        return card;
+    },
+    
+    // Detail rows shared by the trip card and the PDF report
+    getTripDetailRows: (trip, calculation) => {
+        const detailData = [
+            { label: 'Trip Date', value: trip.tripDate, condition: !!trip.tripDate },
+            { label: 'Pay Year', value: calculation.payYear || trip.payYear || 'Year 1' },
+            { label: 'Contract', value: calculation.contractName, condition: CONTRACT_TABLES.length > 1 },
+            { label: 'Flags', value: getFlagDisplayText(trip) },
+            { label: 'Route', value: legModel.getRoute(trip.legs), condition: !!legModel.deriveTotals(trip.legs) },
+            { label: 'Unknown Stations', value: `${(calculation.unknownStations || []).join(', ')} - left out of totals and per diem`, condition: (calculation.unknownStations || []).length > 0 },
+            { label: 'Credited Hours', value: utils.formatHours(calculation.creditedHours) },
+            { label: 'Credit Rule', value: calculation.creditGuarantee && creditGuarantees.describe(calculation.creditGuarantee), condition: !!calculation.creditGuarantee },
+            { label: 'Printed Credit', value: `${utils.formatHours(calculation.creditedHours)} over ${utils.formatHours(calculation.workedOutCreditHours)} worked out`, condition: calculation.creditedHours > calculation.workedOutCreditHours + 0.005 },
+            { label: 'TAFB time', value: utils.formatHours(calculation.dutyHours) },
+            { label: 'Report', value: `${(trip.reportTime || '').replace('T', ' ')} ${trip.reportStation || trip.baseTimeZone || ''}`, condition: !!(trip.reportTime && trip.releaseTime) },
+            { label: 'Release', value: `${(trip.releaseTime || '').replace('T', ' ')} ${trip.releaseStation || trip.baseTimeZone || ''}`, condition: !!(trip.reportTime && trip.releaseTime) },
+            { label: 'Trip Length', value: `${trip.tripLength || 1} day${parseInt(trip.tripLength) > 1 ? 's' : ''}` },
+            ...PREMIUM_RULES.filter(rule => rule.input).map(rule => ({
+                label: rule.input.label,
+                value: `${trip[`${rule.input.key}Hours`] || 0}h ${trip[`${rule.input.key}Minutes`] || 0}m`,
+                condition: premiumRules.isOn(rule, trip)
+            }))
+        ];
+        return detailData.filter(item => 
+            item.condition === undefined || item.condition === null || item.condition
+        );
+    },
+    
+    // Itemized pay rows shared by the trip card and the PDF report
+    getTripSummaryRows: (calculation) => {
         const summaryData = [
             { label: 'Base Pay', value: utils.formatCurrency(calculation.basePay) },
             { label: 'White Flag Pay', value: utils.formatCurrency(calculation.whiteFlagPay), condition: calculation.whiteFlagPay > 0 },
             { label: 'Purple Flag Pay', value: utils.formatCurrency(calculation.purpleFlagPay), condition: calculation.purpleFlagPay > 0 },
-            { label: 'Galley Pay', value: utils.formatCurrency(calculation.galleyPay), condition: calculation.galleyPay > 0 },
-            { label: 'Galley White Flag', value: utils.formatCurrency(calculation.galleyWhiteFlagPay), condition: calculation.galleyWhiteFlagPay > 0 },
-            { label: 'Galley Purple Flag', value: utils.formatCurrency(calculation.galleyPurpleFlagPay), condition: calculation.galleyPurpleFlagPay > 0 },
+            ...premiumRules.getComponents().map(component => ({
+                label: component.label,
+                value: utils.formatCurrency(calculation[component.key]),
+                condition: calculation[component.key] > 0
+            })),
             { label: 'Purser Pay', value: utils.formatCurrency(calculation.purserPay), condition: calculation.purserPay > 0 },
-            { label: 'Intl Override', value: utils.formatCurrency(calculation.intlOverridePay), condition: calculation.intlOverridePay > 0 },
-            { label: 'Language Pay', value: utils.formatCurrency(calculation.languagePay), condition: calculation.languagePay > 0 },
-            { label: 'Per Diem', value: utils.formatCurrency(calculation.perDiem) },
-            { label: 'Holiday Pay', value: utils.formatCurrency(calculation.holidayPay), condition: calculation.holidayPay > 0 },
+            ...(calculation.perDiemBreakdown || [{ name: 'Per Diem', amount: calculation.perDiem }]).map(line => ({
+                label: line.hours !== undefined
+                    ? `Per Diem ${line.name} (${utils.formatHours(line.hours)} @ ${utils.formatCurrency(line.rate)})`
+                    : line.name,
+                value: utils.formatCurrency(line.amount)
+            })),
+            { label: 'Holiday Pay', value: utils.formatCurrency(calculation.holidayPay), condition: calculation.holidayPay > 0 && !(calculation.holidayBreakdown || []).length },
+            ...(calculation.holidayBreakdown || []).map(holiday => ({
+                label: `${holiday.name} (${utils.formatHours(holiday.hours)})`,
+                value: utils.formatCurrency(holiday.pay)
+            })),
             { label: 'Gross Pay', value: utils.formatCurrency(calculation.totalGrossPay), highlight: true },
+            ...templateRenderer.getWithholdingRows(calculation.withholding),
+            {
+                label: 'Employer 401(k)',
+                value: `+${utils.formatCurrency(calculation.withholding && calculation.withholding.retirement.employerTotal)}`,
+                condition: !!calculation.withholding && calculation.withholding.retirement.employerTotal > 0
+            },
             { 
                 label: 'Net Pay Est.', 
-                value: parseFloat(trip.retirementPercentage) > 0 || parseFloat(trip.taxRate) > 0 ? 
+                value: calculation.withholding && calculation.withholding.isEstimated ? 
                     utils.formatCurrency(calculation.netPayEstimate) : '--', 
                 highlight: true 
             },
             { label: 'Hourly Value', value: `${utils.formatCurrency(calculation.hourlyValue)}/hr` },
             { label: 'Daily Value', value: `${utils.formatCurrency(calculation.perDayValue)}/day` }
         ];
-        
-        const filteredSummary = summaryData.filter(item => 
+        return summaryData.filter(item => 
             item.condition === undefined || item.condition === null || item.condition
         );
+    },
+    
+    // Itemized deductions shown above the net pay estimate
+    getWithholdingRows: (withholding) => {
+        if (!withholding) return [];
+        const { retirement } = withholding;
+        const limitNote = retirement.limitReached ? ' (annual limit)' : '';
+        return [
+            { label: `401(k) Pre-tax${limitNote}`, value: retirement.preTax },
+            { label: `401(k) Roth${limitNote}`, value: retirement.roth },
+            { label: 'Federal Tax', value: withholding.federal },
+            { label: 'Social Security', value: withholding.socialSecurity },
+            { label: 'Medicare', value: withholding.medicare },
+            { label: 'State Tax', value: withholding.state },
+            { label: 'Tax (flat rate)', value: withholding.flatTax }
+        ].filter(row => row.value > 0).map(row => ({ label: row.label, value: `-${utils.formatCurrency(row.value)}` }));
+    },
+    
+    renderLineCard: (line, calculation) => {
+        const template = templateRenderer.getTemplate('line-card-template');
+        const card = template.querySelector('.line-card');
         
-        filteredSummary.forEach(item => {
-            const summaryTemplate = templateRenderer.getTemplate('trip-summary-template');
-            const summaryItem = summaryTemplate.querySelector('.trip-summary-item');
-            if (item.highlight) summaryItem.classList.add('highlight');
-            summaryItem.querySelector('.trip-summary-label').textContent = item.label;
-            summaryItem.querySelector('.trip-summary-value').textContent = item.value;
+        card.dataset.id = line.id;
+        card.querySelector('.trip-title').textContent = line.name || 'Unnamed Line';
+        
+        const editBtn = card.querySelector('.edit-line');
+        const deleteBtn = card.querySelector('.delete-line');
+        editBtn.dataset.id = line.id;
+        deleteBtn.dataset.id = line.id;
+        editBtn.addEventListener('click', () => lineOperations.edit(line.id));
+        deleteBtn.addEventListener('click', () => lineOperations.delete(line.id));
+        
+        const tripNames = lineBuilder.getTrips(line).map(trip => trip.name || 'Unnamed Trip');
+        const isReserve = lineBuilder.isReserve(line);
+        const detailData = [
+            { label: 'Month', value: line.month || '--' },
+            { label: 'Type', value: isReserve ? 'Reserve' : 'Line holder' },
+            { label: isReserve ? 'Assignments' : 'Trips', value: tripNames.length > 0 ? tripNames.join(', ') : 'None' },
+            { label: 'Reserve Days', value: `${calculation.reserveDays}`, condition: isReserve },
+            { label: 'Days Worked', value: `${calculation.days}` },
+            { label: 'Credited Hours', value: utils.formatHours(calculation.creditedHours) },
+            { label: 'TAFB time', value: utils.formatHours(calculation.tafbHours) },
+            { label: 'Guarantee', value: utils.formatHours(calculation.guaranteeHours) },
+            { label: 'Over Guarantee', value: utils.formatHours(calculation.hoursOverGuarantee), condition: isReserve && calculation.hoursOverGuarantee > 0 }
+        ];
+        const details = card.querySelector('.trip-details');
+        detailData.filter(item => item.condition === undefined || item.condition).forEach(item => {
+            const detailRow = templateRenderer.getTemplate('trip-detail-template').querySelector('.trip-detail');
+            detailRow.querySelector('.trip-detail-label').textContent = item.label;
+            detailRow.querySelector('.trip-detail-value').textContent = item.value;
+            details.appendChild(detailRow);
+        });
+        
+        // Reserves compare the guarantee against what the assignments alone would pay
+        const summaryData = isReserve ? [
+            { label: `Guaranteed Pay (${utils.formatHours(calculation.guaranteeHours)})`, value: utils.formatCurrency(calculation.guaranteedPay) },
+            { label: 'Actual + Premium Pay', value: utils.formatCurrency(calculation.actualPay) },
+            { label: 'Premiums', value: utils.formatCurrency(calculation.premiumPay), condition: calculation.premiumPay > 0 },
+            { label: 'Per Diem', value: utils.formatCurrency(calculation.perDiem) },
+            { label: calculation.isAboveGuarantee ? 'Month Pay (above guarantee)' : 'Month Pay (guarantee)', value: utils.formatCurrency(calculation.lineValue), highlight: true },
+            { label: 'Daily Value', value: `${utils.formatCurrency(calculation.perDayValue)}/day` }
+        ] : [
+            { label: 'Trip Gross Pay', value: utils.formatCurrency(calculation.tripGrossPay) },
+            { label: 'Per Diem', value: utils.formatCurrency(calculation.perDiem) },
+            { label: `Guarantee Pay (${utils.formatHours(calculation.shortfallHours)})`, value: utils.formatCurrency(calculation.guaranteePay), condition: calculation.guaranteePay > 0 },
+            { label: 'Line Value', value: utils.formatCurrency(calculation.lineValue), highlight: true },
+            { label: 'Daily Value', value: `${utils.formatCurrency(calculation.perDayValue)}/day` }
+        ];
+        const summary = card.querySelector('.trip-summary');
+        summaryData.filter(item => item.condition === undefined || item.condition).forEach(item => {
+            const summaryItem = templateRenderer.getTemplate('trip-summary-template').querySelector('.trip-summary-item');
+            if (item.highlight) summaryItem.classList.add('highlight');
+            summaryItem.querySelector('.trip-summary-label').textContent = item.label;
+            summaryItem.querySelector('.trip-summary-value').textContent = item.value;
             summary.appendChild(summaryItem);
         });
-        
-        return card;
+        
+        return card;
+    },
+    
+    renderToast: (message, type = 'info') => {
+        const template = templateRenderer.getTemplate('toast-template');
+        const toast = template.querySelector('.toast');
+        toast.classList.add(`toast-${type}`);
+        
+    if (message.includes('Undo')) {
+        const parts = message.split(/(<a.*?Undo<\/a>)/);
+            toast.querySelector('.toast-message').textContent = parts[0];
+            const undoLink = toast.querySelector('.toast-undo');
+            undoLink.style.display = 'inline';
+            undoLink.addEventListener('click', (e) => {
+                e.preventDefault();
+                history.undoLastOperation();
+            });
+    } else {
+            toast.querySelector('.toast-message').textContent = message;
+    }
+    
+        $(ELEMENT_IDS.TOAST_CONTAINER).appendChild(toast);
+    
+    setTimeout(() => {
+        toast.style.opacity = '0';
+        toast.style.transform = 'translateX(-100%)';
+            setTimeout(() => toast.remove(), 300);
+    }, 3000);
+}
+};
+
+// Render all trips
+function renderTrips() {
+    const container = $(ELEMENT_IDS.TRIP_COMPARISON);
+    container.innerHTML = '';
+    
+    if (!state.trips || state.trips.length === 0) {
+        container.innerHTML = `
+            <div class="no-trips-message" id="no-trips-message">
+                <h2>No trips to compare yet</h2>
+                <p>Click the "+" button to add your first trip. You can add multiple trips to compare their value and find the best option.</p>
+                <button class="btn btn-primary" id="first-trip-btn">Add Your First Trip</button>
+            </div>
+        `;
+        $(ELEMENT_IDS.FIRST_TRIP_BTN).addEventListener('click', () => {
+            resetForm();
+            toggleSidePanel(true);
+        });
+        container.style.display = '';
+        $(ELEMENT_IDS.COMPARISON_TABLE_VIEW).style.display = 'none';
+        $(ELEMENT_IDS.CHART_AREA).style.display = 'none';
+        renderLines();
+        renderPaychecks();
+        saveTripsToLocalStorage();
+            return;
+        }
+        
+    const ranking = tripRanking.rank(state.trips);
+    const bestValueTripId = getBestTripId(ranking);
+    const sortByRank = !!state.ranking.sortByRank;
+    const trips = sortByRank ? state.trips.slice().sort((a, b) => ranking[a.id].rank - ranking[b.id].rank) : state.trips;
+    container.classList.toggle('sorted-by-rank', sortByRank);
+    
+    // Render each trip
+    trips.forEach(trip => {
+        const card = templateRenderer.renderTripCard(trip);
+        card.querySelector('.trip-rank').textContent = state.trips.length > 1 ? `#${ranking[trip.id].rank}` : '';
+        if (trip.id === bestValueTripId) {
+                    card.classList.add('best-trip');
+                    card.querySelector('.best-value-badge').style.display = 'block';
+                }
+        container.appendChild(card);
+    });
+    
+    const showTable = state.comparison.view === 'table';
+    container.style.display = showTable ? 'none' : '';
+    $(ELEMENT_IDS.COMPARISON_TABLE_VIEW).style.display = showTable ? '' : 'none';
+    $(ELEMENT_IDS.TABLE_VIEW_BTN).setAttribute('aria-pressed', String(showTable));
+    if (showTable) comparisonTable.render(trips);
+    
+    const showCharts = !!state.comparison.showCharts;
+    $(ELEMENT_IDS.CHART_AREA).style.display = showCharts ? '' : 'none';
+    $(ELEMENT_IDS.CHARTS_BTN).setAttribute('aria-pressed', String(showCharts));
+    if (showCharts) renderCharts(trips);
+    
+    renderLines();
+    renderPaychecks();
+    saveTripsToLocalStorage();
+}
+
+// Weighted trip ranking - each metric is scaled 0..1 across the trips, then averaged by weight
+const tripRanking = {
+    // Net pay is only the gross until the profile sets up withholding, so it is left out until then
+    getMetrics: (calculations) => {
+        const hasNetPay = calculations.some(calc => calc.withholding && calc.withholding.isEstimated);
+        return RANKING_METRICS.filter(metric => !metric.needsWithholding || hasNetPay);
+    },
+    
+    // Weights fall back to the default when every metric in use is set to zero
+    getWeights: (metrics) => {
+        const weights = { ...(state.ranking && state.ranking.weights) };
+        const total = metrics.reduce((sum, metric) => sum + (parseFloat(weights[metric.key]) || 0), 0);
+        return total > 0 ? weights : { ...DEFAULT_RANKING.weights };
+    },
+    
+    describe: (trips = state.trips) => {
+        const metrics = tripRanking.getMetrics(trips.map(trip => calculateTripPay(trip)));
+        const weights = tripRanking.getWeights(metrics);
+        return metrics
+            .filter(metric => parseFloat(weights[metric.key]) > 0)
+            .map(metric => `${metric.label}${metric.lowerIsBetter ? ' (fewer is better)' : ''} x${parseFloat(weights[metric.key])}`)
+            .join(', ');
+    },
+    
+    // Returns { [tripId]: { rank, score } } with the score as a percentage
+    rank: (trips) => {
+        const calculations = trips.map(trip => calculateTripPay(trip));
+        const metrics = tripRanking.getMetrics(calculations);
+        const weights = tripRanking.getWeights(metrics);
+        const activeMetrics = metrics.filter(metric => parseFloat(weights[metric.key]) > 0);
+        const totalWeight = activeMetrics.reduce((sum, metric) => sum + parseFloat(weights[metric.key]), 0);
+        
+        const scores = trips.map(() => 0);
+        activeMetrics.forEach(metric => {
+            const values = trips.map((trip, index) => metric.getValue(calculations[index], trip) || 0);
+            const min = Math.min(...values);
+            const max = Math.max(...values);
+            values.forEach((value, index) => {
+                let scaled = max === min ? 1 : (value - min) / (max - min);
+                if (metric.lowerIsBetter && max !== min) scaled = 1 - scaled;
+                scores[index] += scaled * parseFloat(weights[metric.key]) / totalWeight;
+            });
+        });
+        
+        const ranking = {};
+        trips.map((trip, index) => index)
+            .sort((a, b) => scores[b] - scores[a])
+            .forEach((tripIndex, position) => {
+                ranking[trips[tripIndex].id] = { rank: position + 1, score: Math.round(scores[tripIndex] * 100) };
+            });
+        return ranking;
+    }
+};
+
+// Best value trip is the top-ranked one; only marked when there is more than one trip
+function getBestTripId(ranking = tripRanking.rank(state.trips)) {
+    if (state.trips.length < 2) return null;
+    return Object.keys(ranking).find(id => ranking[id].rank === 1) || null;
+}
+
+// Ranking panel - one weight slider per metric
+function renderRankingPanel() {
+    const list = $(ELEMENT_IDS.RANKING_WEIGHTS);
+    if (!list) return;
+    list.innerHTML = '';
+    const weights = state.ranking.weights || {};
+    
+    tripRanking.getMetrics(state.trips.map(trip => calculateTripPay(trip))).forEach(metric => {
+        const row = document.createElement('label');
+        row.className = 'ranking-weight';
+        const name = document.createElement('span');
+        name.textContent = metric.lowerIsBetter ? `${metric.label} (fewer is better)` : metric.label;
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.min = '0';
+        slider.max = '5';
+        slider.step = '1';
+        slider.value = String(parseFloat(weights[metric.key]) || 0);
+        const value = document.createElement('output');
+        value.textContent = slider.value;
+        slider.addEventListener('input', () => {
+            value.textContent = slider.value;
+            state.ranking = { ...state.ranking, weights: { ...state.ranking.weights, [metric.key]: parseFloat(slider.value) } };
+            renderTrips();
+            renderRankingOrder();
+        });
+        row.appendChild(name);
+        row.appendChild(slider);
+        row.appendChild(value);
+        list.appendChild(row);
+    });
+    
+    $(ELEMENT_IDS.SORT_BY_RANK).checked = !!state.ranking.sortByRank;
+    renderRankingOrder();
+}
+
+function renderRankingOrder() {
+    const list = $(ELEMENT_IDS.RANKING_ORDER);
+    list.innerHTML = '';
+    const ranking = tripRanking.rank(state.trips);
+    state.trips.slice().sort((a, b) => ranking[a.id].rank - ranking[b.id].rank).forEach(trip => {
+        const item = document.createElement('li');
+        item.textContent = `${trip.name || 'Unnamed Trip'} (score ${ranking[trip.id].score})`;
+        list.appendChild(item);
+    });
+    $(ELEMENT_IDS.RANKING_DESCRIPTION).textContent = `Ranked by ${tripRanking.describe()}`;
+}
+
+// Side-by-side table - trips as columns, pay components and metrics as rows
+const comparisonTable = {
+    // Days away is the only row where less is better; TAFB has no better direction
+    getRows: (calculations) => [
+        ...Object.entries(PAY_COMPONENT_LABELS).map(([key, label]) => ({ key, label, getValue: calc => calc[key], format: 'currency' })),
+        ...tripRanking.getMetrics(calculations).map(metric => ({ ...metric, format: metric.key === 'daysAway' ? 'days' : 'currency' })),
+        { key: 'effectiveRate', label: 'Effective Rate', getValue: calc => calc.effectiveRate, format: 'currency' },
+        { key: 'creditedHours', label: 'Credited Hours', getValue: calc => calc.creditedHours, format: 'hours' },
+        { key: 'dutyHours', label: 'TAFB', getValue: calc => calc.dutyHours, format: 'hours', noBest: true }
+    ],
+    
+    format: (value, format) => {
+        if (format === 'hours') return utils.formatHours(Math.abs(value));
+        if (format === 'days') return `${Math.abs(value)} day${Math.abs(value) === 1 ? '' : 's'}`;
+        return utils.formatCurrency(Math.abs(value));
+    },
+    
+    formatDelta: (delta, format) => {
+        if (Math.abs(delta) < 0.005) return '±0';
+        return `${delta > 0 ? '+' : '−'}${comparisonTable.format(delta, format)}`;
+    },
+    
+    render: (trips) => {
+        const table = $(ELEMENT_IDS.COMPARISON_TABLE);
+        const select = $(ELEMENT_IDS.REFERENCE_TRIP);
+        table.innerHTML = '';
+        
+        const reference = trips.find(trip => trip.id === state.comparison.referenceTripId) || trips[0];
+        select.innerHTML = '';
+        trips.forEach(trip => {
+            const option = document.createElement('option');
+            option.value = trip.id;
+            option.textContent = trip.name || 'Unnamed Trip';
+            select.appendChild(option);
+        });
+        select.value = reference.id;
+        
+        const calculations = trips.map(trip => calculateTripPay(trip));
+        const referenceIndex = trips.indexOf(reference);
+        
+        const head = document.createElement('thead');
+        const headRow = document.createElement('tr');
+        headRow.appendChild(document.createElement('th'));
+        trips.forEach(trip => {
+            const th = document.createElement('th');
+            th.scope = 'col';
+            th.style.setProperty('--trip-color', trip.color || '#3a36e0');
+            th.textContent = trip.name || 'Unnamed Trip';
+            if (trip === reference) th.classList.add('reference-column');
+            headRow.appendChild(th);
+        });
+        head.appendChild(headRow);
+        table.appendChild(head);
+        
+        const body = document.createElement('tbody');
+        comparisonTable.getRows(calculations).forEach(row => {
+            const values = trips.map((trip, index) => row.getValue(calculations[index], trip) || 0);
+            if (values.every(value => Math.abs(value) < 0.005)) return;
+            
+            const best = row.lowerIsBetter ? Math.min(...values) : Math.max(...values);
+            const hasBest = !row.noBest && trips.length > 1 && values.some(value => Math.abs(value - best) >= 0.005);
+            
+            const tr = document.createElement('tr');
+            const label = document.createElement('th');
+            label.scope = 'row';
+            label.textContent = row.lowerIsBetter ? `${row.label} (fewer is better)` : row.label;
+            tr.appendChild(label);
+            
+            values.forEach((value, index) => {
+                const td = document.createElement('td');
+                if (hasBest && Math.abs(value - best) < 0.005) td.classList.add('best-cell');
+                if (index === referenceIndex) td.classList.add('reference-column');
+                
+                const main = document.createElement('span');
+                main.className = 'comparison-value';
+                main.textContent = `${value < 0 ? '-' : ''}${comparisonTable.format(value, row.format)}`;
+                td.appendChild(main);
+                
+                if (index !== referenceIndex) {
+                    const delta = value - values[referenceIndex];
+                    const deltaText = document.createElement('span');
+                    deltaText.className = 'comparison-delta';
+                    const isBetter = row.lowerIsBetter ? delta < 0 : delta > 0;
+                    if (Math.abs(delta) >= 0.005 && !row.noBest) deltaText.classList.add(isBetter ? 'delta-up' : 'delta-down');
+                    deltaText.textContent = comparisonTable.formatDelta(delta, row.format);
+                    td.appendChild(deltaText);
+                }
+                tr.appendChild(td);
+            });
+            body.appendChild(tr);
+        });
+        table.appendChild(body);
+    }
+};
+
+function toggleComparisonView() {
+    state.comparison = { ...state.comparison, view: state.comparison.view === 'table' ? 'cards' : 'table' };
+    renderTrips();
+}
+
+// Chart groups - pay components stacked in the bar and donut charts
+const CHART_GROUPS = [
+    { key: 'base', label: 'Base', components: ['basePay'] },
+    { key: 'flag', label: 'Flag', components: ['whiteFlagPay', 'purpleFlagPay'] },
+    // Premiums with a chart group of their own, each with its itemized flag components
+    ...PREMIUM_RULES.filter(rule => rule.chartGroup).map(rule => ({
+        ...rule.chartGroup,
+        components: premiumRules.getComponents().filter(component => component.rule === rule).map(component => component.key)
+    })),
+    { key: 'purser', label: 'Purser', components: ['purserPay'] },
+    { key: 'perDiem', label: 'Per Diem', components: ['perDiem'] },
+    { key: 'holiday', label: 'Holiday', components: ['holidayPay'] },
+    // Every other premium from PREMIUM_RULES
+    { key: 'other', label: 'Other Premiums', components: null }
+];
+
+// Pay charts - each chart is a list of shapes that renders to inline SVG or to jsPDF primitives
+const payCharts = {
+    WIDTH: 600,
+    LEGEND_COLOR: '#4a5568',
+    
+    // Group shades run from the trip color toward white so every trip keeps its own color
+    shade: (hex, groupIndex) => {
+        const amount = groupIndex / CHART_GROUPS.length * 0.85;
+        const channels = [1, 3, 5].map(offset => parseInt(hex.slice(offset, offset + 2), 16));
+        return '#' + channels.map(channel => Math.round(channel + (255 - channel) * amount).toString(16).padStart(2, '0')).join('');
+    },
+    
+    getGroups: (calc) => {
+        const grouped = CHART_GROUPS.flatMap(group => group.components || []);
+        return CHART_GROUPS.map(group => {
+            const components = group.components || Object.keys(PAY_COMPONENT_LABELS).filter(key => !grouped.includes(key));
+            return { ...group, amount: components.reduce((sum, key) => sum + (calc[key] || 0), 0) };
+        });
+    },
+    
+    legend: (y, color = payCharts.LEGEND_COLOR) => {
+        const shapes = [];
+        let x = 0;
+        CHART_GROUPS.forEach((group, index) => {
+            shapes.push({ type: 'rect', x, y, width: 12, height: 12, fill: payCharts.shade(color, index) });
+            shapes.push({ type: 'text', x: x + 16, y: y + 10, text: group.label, size: 11 });
+            x += 28 + group.label.length * 6.5;
+        });
+        return shapes;
+    },
+    
+    // One horizontal bar per trip, segments in shades of the trip color
+    stackedBars: (trips, calculations) => {
+        const rowHeight = 28;
+        const barStart = 150;
+        const barWidth = 360;
+        const maxGross = Math.max(...calculations.map(calc => calc.totalGrossPay), 1);
+        const shapes = payCharts.legend(0);
+        
+        trips.forEach((trip, tripIndex) => {
+            const y = 30 + tripIndex * rowHeight;
+            const color = trip.color || '#3a36e0';
+            let x = barStart;
+            shapes.push({ type: 'text', x: 0, y: y + 15, text: (trip.name || 'Unnamed Trip').slice(0, 22), size: 12 });
+            payCharts.getGroups(calculations[tripIndex]).forEach((group, index) => {
+                const width = group.amount / maxGross * barWidth;
+                if (width <= 0) return;
+                shapes.push({ type: 'rect', x, y, width, height: rowHeight - 8, fill: payCharts.shade(color, index), title: `${group.label}: ${utils.formatCurrency(group.amount)}` });
+                x += width;
+            });
+            shapes.push({ type: 'text', x: x + 6, y: y + 15, text: utils.formatCurrency(calculations[tripIndex].totalGrossPay), size: 12 });
+        });
+        return { shapes, height: 30 + trips.length * rowHeight };
+    },
+    
+    // Ring of one trip's groups, with amounts and shares listed beside it
+    donut: (trip, calc) => {
+        const center = 90;
+        const outer = 80;
+        const inner = 48;
+        const color = trip.color || '#3a36e0';
+        const total = calc.totalGrossPay;
+        const shapes = [];
+        let angle = -Math.PI / 2;
+        let legendY = 20;
+        
+        const arc = (radius, from, to) => {
+            const steps = Math.max(2, Math.ceil((to - from) / (Math.PI / 60)));
+            return Array.from({ length: steps + 1 }, (_, step) => {
+                const theta = from + (to - from) * step / steps;
+                return [center + radius * Math.cos(theta), center + radius * Math.sin(theta)];
+            });
+        };
+        
+        payCharts.getGroups(calc).forEach((group, index) => {
+            if (group.amount <= 0 || total <= 0) return;
+            const sweep = group.amount / total * Math.PI * 2;
+            const fill = payCharts.shade(color, index);
+            shapes.push({
+                type: 'polygon',
+                points: [...arc(outer, angle, angle + sweep), ...arc(inner, angle, angle + sweep).reverse()],
+                fill,
+                title: `${group.label}: ${utils.formatCurrency(group.amount)}`
+            });
+            angle += sweep;
+            
+            shapes.push({ type: 'rect', x: 200, y: legendY, width: 12, height: 12, fill });
+            shapes.push({ type: 'text', x: 218, y: legendY + 10, text: `${group.label} ${utils.formatCurrency(group.amount)} (${Math.round(group.amount / total * 100)}%)`, size: 12 });
+            legendY += 22;
+        });
+        shapes.push({ type: 'text', x: center, y: center + 5, text: utils.formatCurrency(total), size: 13, anchor: 'middle' });
+        return { shapes, height: 180 };
+    },
+    
+    // Monthly gross of dated trips, with each trip as a dot in its own color
+    trend: (trips, calculations) => {
+        const months = {};
+        const dots = [];
+        trips.forEach((trip, index) => {
+            const date = paycheckProjection.getTripDate(trip);
+            if (!date) return;
+            const month = date.slice(0, 7);
+            months[month] = (months[month] || 0) + calculations[index].totalGrossPay;
+            dots.push({ month, amount: calculations[index].totalGrossPay, color: trip.color || '#3a36e0', name: trip.name });
+        });
+        const keys = Object.keys(months).sort();
+        if (keys.length === 0) return null;
+        
+        const left = 70;
+        const top = 10;
+        const plotWidth = payCharts.WIDTH - left - 20;
+        const plotHeight = 150;
+        const maxValue = Math.max(...Object.values(months), 1);
+        const xFor = month => left + (keys.length === 1 ? plotWidth / 2 : keys.indexOf(month) / (keys.length - 1) * plotWidth);
+        const yFor = value => top + plotHeight - value / maxValue * plotHeight;
+        
+        const shapes = [
+            { type: 'line', points: [[left, top + plotHeight], [left + plotWidth, top + plotHeight]], stroke: '#cbd5e0', width: 1 },
+            { type: 'text', x: left - 8, y: top + 5, text: utils.formatCurrency(maxValue), size: 11, anchor: 'end' },
+            { type: 'text', x: left - 8, y: top + plotHeight, text: '$0', size: 11, anchor: 'end' },
+            { type: 'line', points: keys.map(month => [xFor(month), yFor(months[month])]), stroke: '#3a36e0', width: 2 }
+        ];
+        keys.forEach(month => {
+            shapes.push({ type: 'circle', cx: xFor(month), cy: yFor(months[month]), r: 4, fill: '#3a36e0', title: `${month}: ${utils.formatCurrency(months[month])}` });
+            shapes.push({ type: 'text', x: xFor(month), y: top + plotHeight + 18, text: month, size: 11, anchor: 'middle' });
+        });
+        dots.forEach(dot => {
+            shapes.push({ type: 'circle', cx: xFor(dot.month), cy: yFor(dot.amount), r: 5, fill: dot.color, title: `${dot.name}: ${utils.formatCurrency(dot.amount)}` });
+        });
+        return { shapes, height: top + plotHeight + 26 };
+    },
+    
+    toSvg: (chart) => {
+        const ns = 'http://www.w3.org/2000/svg';
+        const svg = document.createElementNS(ns, 'svg');
+        svg.setAttribute('viewBox', `0 0 ${payCharts.WIDTH} ${chart.height}`);
+        svg.setAttribute('role', 'img');
+        svg.classList.add('pay-chart');
+        
+        chart.shapes.forEach(shape => {
+            let element;
+            if (shape.type === 'rect') {
+                element = document.createElementNS(ns, 'rect');
+                ['x', 'y', 'width', 'height'].forEach(key => element.setAttribute(key, shape[key]));
+                element.setAttribute('fill', shape.fill);
+            } else if (shape.type === 'polygon') {
+                element = document.createElementNS(ns, 'polygon');
+                element.setAttribute('points', shape.points.map(point => point.join(',')).join(' '));
+                element.setAttribute('fill', shape.fill);
+            } else if (shape.type === 'line') {
+                element = document.createElementNS(ns, 'polyline');
+                element.setAttribute('points', shape.points.map(point => point.join(',')).join(' '));
+                element.setAttribute('fill', 'none');
+                element.setAttribute('stroke', shape.stroke);
+                element.setAttribute('stroke-width', shape.width);
+            } else if (shape.type === 'circle') {
+                element = document.createElementNS(ns, 'circle');
+                ['cx', 'cy', 'r'].forEach(key => element.setAttribute(key, shape[key]));
+                element.setAttribute('fill', shape.fill);
+            } else {
+                element = document.createElementNS(ns, 'text');
+                element.setAttribute('x', shape.x);
+                element.setAttribute('y', shape.y);
+                element.setAttribute('font-size', shape.size);
+                element.setAttribute('fill', 'currentColor');
+                if (shape.anchor) element.setAttribute('text-anchor', shape.anchor);
+                element.textContent = shape.text;
+            }
+            if (shape.title) {
+                const title = document.createElementNS(ns, 'title');
+                title.textContent = shape.title;
+                element.appendChild(title);
+            }
+            svg.appendChild(element);
+        });
+        return svg;
+    }
+};
+
+// Chart area above the trip cards
+function renderCharts(trips) {
+    const calculations = trips.map(trip => calculateTripPay(trip));
+    const select = $(ELEMENT_IDS.DONUT_TRIP);
+    const donutTrip = trips.find(trip => trip.id === state.comparison.donutTripId) || trips[0];
+    
+    select.innerHTML = '';
+    trips.forEach(trip => {
+        const option = document.createElement('option');
+        option.value = trip.id;
+        option.textContent = trip.name || 'Unnamed Trip';
+        select.appendChild(option);
+    });
+    select.value = donutTrip.id;
+    
+    $(ELEMENT_IDS.STACKED_BAR_CHART).replaceChildren(payCharts.toSvg(payCharts.stackedBars(trips, calculations)));
+    $(ELEMENT_IDS.DONUT_CHART).replaceChildren(payCharts.toSvg(payCharts.donut(donutTrip, calculations[trips.indexOf(donutTrip)])));
+    
+    const trend = payCharts.trend(trips, calculations);
+    $(ELEMENT_IDS.TREND_CHART_FIGURE).style.display = trend ? '' : 'none';
+    $(ELEMENT_IDS.TREND_CHART).replaceChildren(...(trend ? [payCharts.toSvg(trend)] : []));
+}
+
+function toggleCharts() {
+    state.comparison = { ...state.comparison, showCharts: !state.comparison.showCharts };
+    renderTrips();
+}
+
+// Save trips to localStorage
+function saveTripsToLocalStorage() {
+    try {
+        const data = {
+            version: CONSTANTS.VERSION,
+            trips: state.trips,
+            lines: state.lines,
+            profile: state.profile,
+            paystubs: state.paystubs,
+            ranking: state.ranking,
+            comparison: state.comparison
+        };
+        localStorage.setItem(CONSTANTS.STORAGE_KEY, JSON.stringify(data));
+    } catch (error) {
+        console.error('Error saving trips:', error);
+    }
+}
+
+// Load trips from localStorage
+function loadTripsFromLocalStorage() {
+    try {
+        const saved = localStorage.getItem(CONSTANTS.STORAGE_KEY);
+        if (saved) {
+            const data = backupData.migrate(JSON.parse(saved));
+            state.trips = data.trips || [];
+            state.lines = data.lines || [];
+            state.profile = { ...DEFAULT_PROFILE, ...data.profile };
+            state.paystubs = data.paystubs || {};
+            state.ranking = { ...DEFAULT_RANKING, ...data.ranking };
+            state.comparison = { ...DEFAULT_COMPARISON, ...data.comparison };
+        }
+    } catch (error) {
+        console.error('Error loading trips:', error);
+        state.trips = [];
+        state.lines = [];
+        state.paystubs = {};
+    }
+}
+
+// Saves from before the profile kept its settings on each trip. Every profile field comes
+// from the most recent trip that sets it.
+function profileFromTrips(trips) {
+    const newestFirst = [...trips].reverse();
+    const profile = {};
+    Object.keys(DEFAULT_PROFILE).forEach(key => {
+        const trip = newestFirst.find(candidate => candidate[key] !== undefined && candidate[key] !== '');
+        if (trip) profile[key] = trip[key];
+    });
+    return profile;
+}
+
+// Trip operations
+const tripOperations = {
+    add: (tripData) => {
+        history.saveState('add', `"${tripData.name}"`);
+        const newTrip = { id: utils.generateId(), color: utils.getRandomColor(), ...tripData };
+        state.trips.push(newTrip);
+        renderTrips();
+        showToast(`Trip "${newTrip.name}" added successfully`, 'success');
+    },
+    
+    update: (tripId, tripData) => {
+        history.saveState('update', `"${tripData.name}"`);
+        const index = state.trips.findIndex(t => t.id === tripId);
+        if (index !== -1) {
+            const oldColor = state.trips[index].color;
+            state.trips[index] = { ...tripData, id: tripId, color: oldColor };
+            renderTrips();
+            showToast(`Trip "${tripData.name}" updated successfully`, 'success');
+        }
+    },
+    
+    delete: (tripId) => {
+        const index = state.trips.findIndex(t => t.id === tripId);
+        if (index !== -1) {
+            const tripName = state.trips[index].name;
+            if (confirm(`Delete trip "${tripName}"?`)) {
+                history.saveState('delete', `"${tripName}"`);
+                state.trips.splice(index, 1);
+                renderTrips();
+                showToast(`Trip "${tripName}" deleted. <a href="#" id="undo-delete">Undo</a>`, 'info');
+                
+        setTimeout(() => {
+            const undoLink = document.getElementById('undo-delete');
+            if (undoLink) {
+                        undoLink.addEventListener('click', (e) => {
+                    e.preventDefault();
+                            history.undoLastOperation();
+                });
+            }
+        }, 10);
+            }
+        }
+    },
+    
+    // Moves a trip one place left or right in the comparison
+    move: (tripId, offset) => {
+        const index = state.trips.findIndex(t => t.id === tripId);
+        const target = index + offset;
+        if (index === -1 || target < 0 || target >= state.trips.length) return;
+        history.saveState('reorder', `"${state.trips[index].name}"`);
+        const [trip] = state.trips.splice(index, 1);
+        state.trips.splice(target, 0, trip);
+        renderTrips();
+    },
+    
+    edit: (tripId) => {
+        const trip = state.trips.find(t => t.id === tripId);
+        if (trip) {
+            state.editingTripId = tripId;
+            setFormData(trip);
+            toggleSidePanel(true);
+        }
+    }
+};
+
+// Destructure for convenience
+const { add: addTrip, update: updateTrip, delete: deleteTrip, edit: editTrip } = tripOperations;
+
+// Paycheck projection - places each dated trip's pay components on the advance or settlement check
+const paycheckProjection = {
+    getTripDate: trip => trip.tripDate || (trip.reportTime || '').slice(0, 10) || null,
+    
+    shiftMonth: (month, offset) => {
+        const [year, monthNumber] = month.split('-').map(Number);
+        const date = new Date(Date.UTC(year, monthNumber - 1 + offset, 1));
+        return date.toISOString().slice(0, 7);
+    },
+    
+    lastDayOf: month => new Date(Date.parse(`${paycheckProjection.shiftMonth(month, 1)}-01T00:00:00Z`) - 86400000).toISOString().slice(0, 10),
+    
+    build: (trips) => {
+        const months = {};
+        const getMonth = month => (months[month] = months[month] || { trips: [], settlementItems: [] });
+        const undated = [];
+        
+        trips.forEach(trip => {
+            const date = paycheckProjection.getTripDate(trip);
+            if (!date) {
+                undated.push(trip);
+                return;
+            }
+            const flownMonth = date.slice(0, 7);
+            const calc = calculateTripPay(trip);
+            const { table } = contractTables.resolve(trip);
+            getMonth(flownMonth).trips.push({ trip, calc });
+            
+            Object.entries(PAY_COMPONENT_LABELS).forEach(([key, label]) => {
+                if (!calc[key]) return;
+                const inArrears = premiumRules.isPaidInArrears(table, key);
+                const payMonth = inArrears ? paycheckProjection.shiftMonth(flownMonth, 1) : flownMonth;
+                getMonth(payMonth).settlementItems.push({
+                    tripId: trip.id, tripName: trip.name || 'Unnamed Trip', component: key, label,
+                    flownMonth, amount: calc[key]
+                });
+            });
+        });
+        
+        const checks = [];
+        Object.keys(months).sort().forEach(month => {
+            const { trips: flown, settlementItems } = months[month];
+            let advance = 0;
+            
+            // Advance is paid for months with flying, at the base rate of the first trip that month
+            if (flown.length > 0) {
+                const { table, payData } = contractTables.resolve({ ...flown[0].trip, tripDate: `${month}-15` });
+                const { advanceDay, advanceHours } = table.payCalendar;
+                advance = advanceHours * payData.baseRate;
+                checks.push({
+                    type: 'advance', month,
+                    date: `${month}-${String(advanceDay).padStart(2, '0')}`,
+                    items: [{ label: `Advance (${utils.formatHours(advanceHours)})`, component: 'advance', amount: advance }]
+                });
+            }
+            
+            const items = [...settlementItems];
+            if (advance > 0) items.push({ label: 'Less advance', component: 'advance', amount: -advance });
+            checks.push({ type: 'settlement', month, date: paycheckProjection.lastDayOf(month), items });
+        });
+        
+        // Totals and estimated net, carrying 401(k) deferrals forward through the year
+        const settings = retirementPlan.getSettings();
+        const deferralsByYear = {};
+        const thisYear = contractTables.toDateKey().slice(0, 4);
+        checks.sort((a, b) => a.date.localeCompare(b.date)).forEach(check => {
+            const year = check.date.slice(0, 4);
+            if (deferralsByYear[year] === undefined) {
+                deferralsByYear[year] = year === thisYear ? parseFloat(settings.ytdDeferrals) || 0 : 0;
+            }
+            check.gross = check.items.reduce((sum, item) => sum + item.amount, 0);
+            check.perDiem = check.items.filter(item => item.component === 'perDiem').reduce((sum, item) => sum + item.amount, 0);
+            check.withholding = taxEngine.calculate(settings, { tripDate: check.date, priorDeferrals: deferralsByYear[year] }, check.gross, check.perDiem);
+            check.net = check.withholding.netPay;
+            deferralsByYear[year] += check.withholding.retirement.deferral;
+        });
+        
+        return { checks, undated };
+    }
+};
+
+// Render the paycheck list in the paycheck panel
+function renderPaychecks() {
+    const list = $(ELEMENT_IDS.PAYCHECK_LIST);
+    if (!list) return;
+    list.innerHTML = '';
+    
+    const { checks, undated } = paycheckProjection.build(state.trips);
+    if (checks.length === 0) {
+        list.innerHTML = '<p class="form-help-text">Add a trip date to your trips to see which paycheck they land on.</p>';
+        return;
+    }
+    
+    const today = contractTables.toDateKey();
+    checks.forEach(check => {
+        const template = templateRenderer.getTemplate('paycheck-template');
+        const item = template.querySelector('.paycheck');
+        item.classList.toggle('paycheck-past', check.date < today);
+        item.querySelector('.paycheck-title').textContent = `${check.type === 'advance' ? 'Advance' : 'Settlement'} · ${check.date}`;
+        item.querySelector('.paycheck-gross').textContent = utils.formatCurrency(check.gross);
+        item.querySelector('.paycheck-net').textContent = check.withholding.isEstimated
+            ? `Est. net ${utils.formatCurrency(check.net)}`
+            : 'Set up your profile to estimate net';
+        
+        const rows = item.querySelector('.paycheck-items');
+        check.items.forEach(line => {
+            const row = templateRenderer.getTemplate('trip-detail-template').querySelector('.trip-detail');
+            const flown = line.flownMonth && line.flownMonth !== check.month ? ` (flown ${line.flownMonth})` : '';
+            row.querySelector('.trip-detail-label').textContent = line.tripName ? `${line.tripName} · ${line.label}${flown}` : line.label;
+            row.querySelector('.trip-detail-value').textContent = utils.formatCurrency(line.amount);
+            rows.appendChild(row);
+        });
+        list.appendChild(item);
+    });
+    
+    if (undated.length > 0) {
+        const note = document.createElement('p');
+        note.className = 'form-help-text';
+        note.textContent = `${undated.length} trip${undated.length === 1 ? '' : 's'} without a trip date not shown.`;
+        list.appendChild(note);
+    }
+}
+
+// Paystub line descriptions matched to pay components, most specific first
+const premiumPaystubCodes = premiumRules.getComponents()
+    .filter(component => component.paystubPattern)
+    .map(component => ({ component: component.key, pattern: component.paystubPattern, flag: component.flag }));
+const PAYSTUB_CODES = [
+    // Premium flag items ahead of the plain flags, so "Galley White Flag" isn't read as white flag pay
+    ...premiumPaystubCodes.filter(code => code.flag),
+    { component: 'whiteFlagPay', pattern: /white/i },
+    { component: 'purpleFlagPay', pattern: /purple/i },
+    { component: 'purserPay', pattern: /purser|lead/i },
+    { component: 'perDiem', pattern: /per\s*diem|\bpd\b/i },
+    ...premiumPaystubCodes.filter(code => !code.flag),
+    { component: 'holidayPay', pattern: /holiday|hol\b/i },
+    { component: 'advance', pattern: /advance|\badv\b/i },
+    { component: 'basePay', pattern: /base|flight pay|hourly|regular/i }
+];
+
+// Paystub reconciliation - compares paystub line items with the projected check for the same period
+const paystubReconciler = {
+    getCheckKey: check => `${check.type}:${check.date}`,
+    
+    parseAmount: text => {
+        const match = text.match(/(\(?-?\$?\s*[\d,]+\.\d{2}\)?|-?\$?\s*[\d,]+)\s*$/);
+        if (!match) return null;
+        const raw = match[1];
+        const amount = parseFloat(raw.replace(/[$,\s()]/g, ''));
+        if (isNaN(amount)) return null;
+        return { amount: raw.startsWith('(') ? -Math.abs(amount) : amount, label: text.slice(0, match.index).replace(/[,;\t]+$/, '').trim() };
+    },
+    
+    parse: (text) => {
+        const items = [];
+        const errors = [];
+        text.split(/\r?\n/).forEach((rawLine, index) => {
+            const line = rawLine.trim();
+            if (!line) return;
+            const parsed = paystubReconciler.parseAmount(line);
+            if (!parsed) {
+                errors.push(`Line ${index + 1}: no amount found in "${line}"`);
+                return;
+            }
+            const code = PAYSTUB_CODES.find(entry => entry.pattern.test(parsed.label));
+            if (!code) {
+                errors.push(`Line ${index + 1}: "${parsed.label}" doesn't match a pay component`);
+                return;
+            }
+            items.push({ label: parsed.label, component: code.component, amount: parsed.amount });
+        });
+        return { items, errors };
+    },
+    
+    reconcile: (check, paidItems) => {
+        const rows = {};
+        const getRow = (component, label) => (rows[component] = rows[component] || {
+            component, label: PAY_COMPONENT_LABELS[component] || label, expected: 0, paid: 0, trips: [], paidLines: 0
+        });
+        
+        check.items.forEach(item => {
+            const row = getRow(item.component, item.component === 'advance' ? 'Advance' : item.label);
+            row.expected += item.amount;
+            if (item.tripName && !row.trips.includes(item.tripName)) row.trips.push(item.tripName);
+        });
+        paidItems.forEach(item => {
+            const row = getRow(item.component, item.label);
+            row.paid += item.amount;
+            row.paidLines++;
+        });
+        
+        // Paystubs are in cents, so compare amounts rounded the same way they are displayed
+        const toCents = amount => parseFloat(amount.toFixed(2));
+        return Object.values(rows).map(row => {
+            const expected = toCents(row.expected);
+            const paid = toCents(row.paid);
+            const difference = toCents(paid - expected);
+            let status = 'ok';
+            if (Math.abs(difference) >= 0.01) {
+                if (row.paidLines === 0) status = 'missing';
+                else if (row.expected === 0) status = 'unexpected';
+                else status = difference < 0 ? 'short' : 'over';
+            }
+            return { ...row, expected, paid, difference, status };
+        });
+    },
+    
+    buildReport: (check, rows) => {
+        const title = `${check.type === 'advance' ? 'Advance' : 'Settlement'} check ${check.date}`;
+        const issues = rows.filter(row => row.status !== 'ok');
+        const lines = [`Paystub discrepancy report - ${title}`, ''];
+        
+        if (issues.length === 0) {
+            lines.push('All paystub items match the expected pay for this period.');
+            return lines.join('\n');
+        }
+        
+        issues.forEach(row => {
+            const trips = row.trips.length > 0 ? ` (trips: ${row.trips.join(', ')})` : '';
+            const detail = {
+                missing: `missing, expected ${utils.formatCurrency(row.expected)}`,
+                short: `short ${utils.formatCurrency(-row.difference)}, paid ${utils.formatCurrency(row.paid)} of ${utils.formatCurrency(row.expected)}`,
+                over: `over ${utils.formatCurrency(row.difference)}, paid ${utils.formatCurrency(row.paid)} of ${utils.formatCurrency(row.expected)}`,
+                unexpected: `not expected this period, paid ${utils.formatCurrency(row.paid)}`
+            }[row.status];
+            lines.push(`- ${row.label}: ${detail}${trips}`);
+        });
+        
+        const net = issues.reduce((sum, row) => sum + row.difference, 0);
+        lines.push('', `Net difference: ${utils.formatCurrency(net)}`);
+        return lines.join('\n');
+    }
+};
+
+// Paystub panel - checks from the paycheck projection to reconcile against
+function renderPaystubCheckOptions() {
+    const select = $(ELEMENT_IDS.PAYSTUB_CHECK);
+    if (!select) return;
+    const selected = select.value;
+    const { checks } = paycheckProjection.build(state.trips);
+    
+    select.innerHTML = '';
+    checks.forEach(check => {
+        const option = document.createElement('option');
+        option.value = paystubReconciler.getCheckKey(check);
+        option.textContent = `${check.type === 'advance' ? 'Advance' : 'Settlement'} · ${check.date} · ${utils.formatCurrency(check.gross)}`;
+        select.appendChild(option);
+    });
+    if (checks.some(check => paystubReconciler.getCheckKey(check) === selected)) select.value = selected;
+    
+    loadPaystubItems();
+}
+
+function loadPaystubItems() {
+    $(ELEMENT_IDS.PAYSTUB_ITEMS).value = state.paystubs[$(ELEMENT_IDS.PAYSTUB_CHECK).value] || '';
+    $(ELEMENT_IDS.PAYSTUB_RESULTS).innerHTML = '';
+    $(ELEMENT_IDS.PAYSTUB_REPORT).value = '';
+}
+
+function handlePaystubFormSubmit(event) {
+    event.preventDefault();
+    const key = $(ELEMENT_IDS.PAYSTUB_CHECK).value;
+    const check = paycheckProjection.build(state.trips).checks.find(item => paystubReconciler.getCheckKey(item) === key);
+    if (!check) {
+        showToast('Add dated trips to have a paycheck to reconcile', 'error');
+        return;
+    }
+    
+    const text = $(ELEMENT_IDS.PAYSTUB_ITEMS).value;
+    const { items, errors } = paystubReconciler.parse(text);
+    if ((state.paystubs[key] || '') !== text) {
+        history.saveState('update', `paystub for the ${check.date} ${check.type}`);
+    }
+    state.paystubs[key] = text;
+    saveTripsToLocalStorage();
+    
+    const rows = paystubReconciler.reconcile(check, items);
+    const results = $(ELEMENT_IDS.PAYSTUB_RESULTS);
+    results.innerHTML = '';
+    
+    const table = document.createElement('table');
+    table.className = 'paystub-table';
+    table.innerHTML = '<thead><tr><th>Item</th><th>Expected</th><th>Paid</th><th>Diff</th></tr></thead>';
+    const body = document.createElement('tbody');
+    rows.forEach(row => {
+        const tr = document.createElement('tr');
+        tr.className = `paystub-${row.status}`;
+        [row.label, row.expected, row.paid, row.difference].forEach((value, index) => {
+            const cell = document.createElement(index === 0 ? 'th' : 'td');
+            cell.textContent = index === 0 ? value : utils.formatCurrency(value);
+            tr.appendChild(cell);
+        });
+        body.appendChild(tr);
+    });
+    table.appendChild(body);
+    results.appendChild(table);
+    
+    if (errors.length > 0) {
+        const list = document.createElement('ul');
+        list.className = 'paystub-errors';
+        errors.forEach(message => {
+            const item = document.createElement('li');
+            item.textContent = message;
+            list.appendChild(item);
+        });
+        results.appendChild(list);
+    }
+    
+    $(ELEMENT_IDS.PAYSTUB_REPORT).value = paystubReconciler.buildReport(check, rows);
+    const issues = rows.filter(row => row.status !== 'ok').length;
+    showToast(issues > 0 ? `${issues} discrepanc${issues === 1 ? 'y' : 'ies'} found` : 'Paystub matches expected pay', issues > 0 ? 'error' : 'success');
+}
+
+// Paystub import - text or CSV exported from the payroll site, one item per line
+function importPaystubFile(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+        $(ELEMENT_IDS.PAYSTUB_ITEMS).value = String(reader.result);
+        event.target.value = '';
+    };
+    reader.readAsText(file);
+}
+
+function copyPaystubReport() {
+    if (!$(ELEMENT_IDS.PAYSTUB_REPORT).value) {
+        showToast('Reconcile a paystub first', 'error');
+        return;
+    }
+    copyFieldText(ELEMENT_IDS.PAYSTUB_REPORT, 'Discrepancy report copied', 'report');
+}
+
+// Spreadsheet export/import - one trip per row, stored fields first, then computed pay
+const spreadsheet = {
+    COMPUTED_PREFIX: 'calc.',
+    
+    // Computed columns from calculateTripPay, with withholding flattened alongside
+    COMPUTED_KEYS: [
+        ...Object.keys(PAY_COMPONENT_LABELS),
+        'totalGrossPay', 'netPayEstimate', 'payYear', 'contractName', 'baseRate', 'effectiveRate',
+        'creditedHours', 'dutyHours', 'hourlyValue', 'perDayValue',
+        'retirementPreTax', 'retirementRoth', 'federalTax', 'socialSecurity', 'medicare', 'stateTax', 'flatTax', 'employer401k',
+        'rank', 'rankScore', 'rankedBy'
+    ],
+    
+    // Stored trip fields in form order, then any other keys found on the trips
+    getFieldKeys: (trips = []) => {
+        const keys = ['id', 'color'];
+        Object.entries(FORM_FIELDS).forEach(([type, fields]) => fields.forEach(field => {
+            if (type === 'hours') keys.push(field.keyHours, field.keyMinutes);
+            else keys.push(field.key);
+        }));
+        keys.push('legs', 'dutyPeriods');
+        trips.forEach(trip => Object.keys(trip).forEach(key => {
+            if (!keys.includes(key)) keys.push(key);
+        }));
+        return keys;
+    },
+    
+    getComputedValues: (trip, ranking, rankedBy) => {
+        const calc = calculateTripPay(trip);
+        const withholding = calc.withholding;
+        return {
+            ...calc,
+            rank: ranking[trip.id].rank,
+            rankScore: ranking[trip.id].score,
+            rankedBy,
+            retirementPreTax: withholding ? withholding.retirement.preTax : 0,
+            retirementRoth: withholding ? withholding.retirement.roth : 0,
+            federalTax: withholding ? withholding.federal : 0,
+            socialSecurity: withholding ? withholding.socialSecurity : 0,
+            medicare: withholding ? withholding.medicare : 0,
+            stateTax: withholding ? withholding.state : 0,
+            flatTax: withholding ? withholding.flatTax : 0,
+            employer401k: withholding ? withholding.retirement.employerTotal : 0
+        };
+    },
+    
+    toRows: (trips) => {
+        const fieldKeys = spreadsheet.getFieldKeys(trips);
+        const header = [...fieldKeys, ...spreadsheet.COMPUTED_KEYS.map(key => spreadsheet.COMPUTED_PREFIX + key)];
+        const ranking = tripRanking.rank(trips);
+        const rankedBy = tripRanking.describe(trips);
+        const rows = trips.map(trip => {
+            const computed = spreadsheet.getComputedValues(trip, ranking, rankedBy);
+            return [
+                ...fieldKeys.map(key => {
+                    const value = trip[key];
+                    if (typeof value === 'object' && value !== null) return JSON.stringify(value);
+                    return value === undefined || value === null ? '' : value;
+                }),
+                ...spreadsheet.COMPUTED_KEYS.map(key => {
+                    const value = computed[key];
+                    if (typeof value === 'number') return Math.round(value * 100) / 100;
+                    return value === undefined || value === null ? '' : value;
+                })
+            ];
+        });
+        return [header, ...rows];
+    },
+    
+    escapeCsv: (value) => {
+        const raw = String(value);
+        const text = typeof value !== 'number' && CSV_FORMULA_START.test(raw) ? `'${raw}` : raw;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    },
+    
+    toCsv: (rows) => rows.map(row => row.map(spreadsheet.escapeCsv).join(',')).join('\r\n'),
+    
+    // Default mapping: match the header to a field key or its form label, ignoring case and punctuation
+    guessField: (header, fieldKeys) => {
+        const normalize = text => String(text).toLowerCase().replace(/[^a-z0-9]/g, '');
+        const target = normalize(header);
+        if (!target || header.startsWith(spreadsheet.COMPUTED_PREFIX) || target === 'id') return '';
+        const byKey = fieldKeys.find(key => normalize(key) === target);
+        if (byKey) return byKey;
+        const byLabel = spreadsheet.getImportFields().find(field => normalize(field.label) === target);
+        return byLabel ? byLabel.key : '';
+    },
+    
+    // Fields a CSV column can map to, labelled from the trip form
+    getImportFields: () => spreadsheet.getFieldKeys().filter(key => key !== 'id').map(key => {
+        const field = Object.values(FORM_FIELDS).flat().find(item => [item.key, item.keyHours, item.keyMinutes].includes(key));
+        const element = field ? document.querySelector(`label[for="${field.id || field.hours}"]`) : null;
+        let label = element ? element.childNodes[0].textContent.trim() : key;
+        if (field && field.keyHours === key) label += ' (hours)';
+        if (field && field.keyMinutes === key) label += ' (minutes)';
+        return { key, label };
+    }),
+    
+    // Builds a trip from one CSV row; errors use the same rules as the trip form
+    toTrip: (cells, mapping) => {
+        const trip = {};
+        const errors = [];
+        const toggleKeys = FORM_FIELDS.toggles.map(field => field.key);
+        const minuteKeys = FORM_FIELDS.hours.map(field => field.keyMinutes);
+        const numericKeys = [
+            ...FORM_FIELDS.hours.flatMap(field => [field.keyHours, field.keyMinutes]),
+            ...FORM_FIELDS.numbers.map(field => field.key),
+            'holidayHours'
+        ];
+        
+        FORM_FIELDS.text.forEach(field => {
+            if (field.default !== undefined) trip[field.key] = field.default;
+        });
+        
+        mapping.forEach((key, column) => {
+            if (!key) return;
+            const value = unescapeCsvCell((cells[column] || '').trim());
+            if (key === 'legs' || key === 'dutyPeriods') {
+                if (!value) return;
+                try {
+                    const list = JSON.parse(value);
+                    if (!Array.isArray(list)) throw new Error('not a list');
+                    trip[key] = list;
+                } catch (error) {
+                    errors.push(`${key} is not a valid list`);
+                }
+            } else if (toggleKeys.includes(key)) {
+                trip[key] = /^(yes|y|true|1|on)$/i.test(value) ? 'Yes' : 'No';
+            } else if (numericKeys.includes(key) && !/^\d*\.?\d*$/.test(value)) {
+                errors.push(`${key} must be a number`);
+            } else if (minuteKeys.includes(key) && !(/^\d*$/.test(value) && (parseInt(value) || 0) <= 59)) {
+                // Same range as the form's minutes inputs
+                errors.push(`${key} must be a whole number from 0 to 59`);
+            } else if (value !== '' || trip[key] === undefined) {
+                trip[key] = value;
+            }
+        });
+        
+        return { trip, errors: [...errors, ...tripRules.validate(trip)] };
+    }
+};
+
+function downloadFile(fileName, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+function exportSpreadsheet(format) {
+    if (state.trips.length === 0) {
+        showToast('No trips to export', 'warning');
+        return;
+    }
+    const rows = spreadsheet.toRows(state.trips);
+    const fileName = `jumpseat_fox_${new Date().toISOString().split('T')[0]}.${format}`;
+    
+    if (format === 'xlsx') {
+        if (!window.XLSX) {
+            showToast('Spreadsheet library unavailable. Export CSV instead.', 'error');
+            return;
+        }
+        const workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), 'Trips');
+        XLSX.writeFile(workbook, fileName);
+    } else {
+        downloadFile(fileName, spreadsheet.toCsv(rows), 'text/csv;charset=utf-8');
+    }
+    showToast(`Exported ${state.trips.length} trip${state.trips.length === 1 ? '' : 's'}`, 'success');
+}
+
+function handleImportFile(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+        const [headers, ...rows] = parseCsv(String(reader.result));
+        if (!headers || rows.length === 0) {
+            showToast('No trips found in that file', 'error');
+            return;
+        }
+        const fieldKeys = spreadsheet.getFieldKeys();
+        state.pendingImport = { headers, rows, mapping: headers.map(header => spreadsheet.guessField(header, fieldKeys)) };
+        renderImportMapping();
+        renderImportPreview();
+    };
+    reader.readAsText(file);
+}
+
+function renderImportMapping() {
+    const container = $(ELEMENT_IDS.IMPORT_MAPPING);
+    container.innerHTML = '';
+    if (!state.pendingImport) return;
+    
+    const fields = spreadsheet.getImportFields();
+    state.pendingImport.headers.forEach((header, column) => {
+        const row = document.createElement('label');
+        row.className = 'import-mapping-row';
+        const name = document.createElement('span');
+        name.textContent = header;
+        
+        const select = document.createElement('select');
+        select.className = 'form-control';
+        select.innerHTML = '<option value="">Ignore</option>';
+        fields.forEach(field => {
+            const option = document.createElement('option');
+            option.value = field.key;
+            option.textContent = field.label === field.key ? field.key : `${field.label} (${field.key})`;
+            select.appendChild(option);
+        });
+        select.value = state.pendingImport.mapping[column];
+        select.addEventListener('change', () => {
+            state.pendingImport.mapping[column] = select.value;
+            renderImportPreview();
+        });
+        
+        row.appendChild(name);
+        row.appendChild(select);
+        container.appendChild(row);
+    });
+}
+
+function renderImportPreview() {
+    const container = $(ELEMENT_IDS.IMPORT_PREVIEW);
+    const confirmButton = $(ELEMENT_IDS.IMPORT_CONFIRM_BTN);
+    container.innerHTML = '';
+    if (!state.pendingImport) {
+        confirmButton.disabled = true;
+        return;
+    }
+    
+    const { rows, mapping } = state.pendingImport;
+    const results = rows.map(cells => spreadsheet.toTrip(cells, mapping));
+    const validCount = results.filter(result => result.errors.length === 0).length;
+    
+    const table = document.createElement('table');
+    table.className = 'paystub-table import-preview-table';
+    table.innerHTML = '<thead><tr><th>Row</th><th>Trip</th><th>Gross</th></tr></thead>';
+    const body = document.createElement('tbody');
+    results.forEach(({ trip, errors }, index) => {
+        const tr = document.createElement('tr');
+        tr.className = errors.length > 0 ? 'import-invalid' : '';
+        const cells = [
+            index + 2,
+            trip.name || 'Unnamed Trip',
+            errors.length > 0 ? errors.join('; ') : utils.formatCurrency(calculateTripPay(trip).totalGrossPay)
+        ];
+        cells.forEach((value, cellIndex) => {
+            const cell = document.createElement(cellIndex === 0 ? 'th' : 'td');
+            cell.textContent = value;
+            tr.appendChild(cell);
+        });
+        body.appendChild(tr);
+    });
+    table.appendChild(body);
+    container.appendChild(table);
+    
+    confirmButton.disabled = validCount === 0;
+    confirmButton.textContent = `Add ${validCount} Trip${validCount === 1 ? '' : 's'}`;
+}
+
+function resetImport() {
+    state.pendingImport = null;
+    $(ELEMENT_IDS.IMPORT_FILE).value = '';
+    renderImportMapping();
+    renderImportPreview();
+    $(ELEMENT_IDS.IMPORT_CONFIRM_BTN).textContent = 'Add Trips';
+}
+
+function confirmImport() {
+    if (!state.pendingImport) return;
+    const { rows, mapping } = state.pendingImport;
+    const results = rows.map(cells => spreadsheet.toTrip(cells, mapping));
+    const trips = results.filter(result => result.errors.length === 0).map(result => result.trip);
+    if (trips.length === 0) return;
+    
+    history.saveState('import', `${trips.length} trip${trips.length === 1 ? '' : 's'} from CSV`);
+    trips.forEach(trip => {
+        state.trips.push({
+            ...trip,
+            id: utils.generateId(),
+            color: /^#[0-9a-f]{6}$/i.test(trip.color || '') ? trip.color : utils.getRandomColor()
+        });
+    });
+    renderTrips();
+    resetImport();
+    
+    const skipped = results.length - trips.length;
+    showToast(`Imported ${trips.length} trip${trips.length === 1 ? '' : 's'}${skipped > 0 ? `, skipped ${skipped} with errors` : ''}`, 'success');
+}
+
+// JSON backup and restore, sharing the migration pipeline with localStorage saves
+const backupData = {
+    // Bare arrays predate the version field
+    getVersion: data => Array.isArray(data) ? '2.0' : String(data.version || '2.0'),
+    
+    migrate: (data) => {
+        let current = data;
+        let version = backupData.getVersion(current);
+        while (version !== CONSTANTS.VERSION) {
+            const step = MIGRATIONS.find(migration => migration.from === version);
+            if (!step) throw new Error(`Unsupported save version ${version}`);
+            current = step.migrate(current);
+            version = step.to;
+        }
+        return current;
+    },
+    
+    // Structural checks on migrated data; returns error messages
+    validate: (data) => {
+        const errors = [];
+        const isObject = value => typeof value === 'object' && value !== null && !Array.isArray(value);
+        if (!Array.isArray(data.trips)) errors.push('trips must be a list');
+        if (!Array.isArray(data.lines)) errors.push('lines must be a list');
+        if (!isObject(data.profile)) errors.push('profile must be an object');
+        if (!isObject(data.paystubs)) errors.push('paystubs must be an object');
+        if (errors.length > 0) return errors;
+        
+        const ids = new Set();
+        data.trips.forEach((trip, index) => {
+            const label = `Trip ${index + 1}`;
+            if (!isObject(trip)) {
+                errors.push(`${label} is not an object`);
+                return;
+            }
+            if (!trip.id) errors.push(`${label} has no id`);
+            else if (ids.has(trip.id)) errors.push(`${label} repeats id ${trip.id}`);
+            ids.add(trip.id);
+            if (trip.legs !== undefined && !Array.isArray(trip.legs)) errors.push(`${label} has invalid legs`);
+        });
+        data.lines.forEach((line, index) => {
+            if (!isObject(line) || !line.id || !Array.isArray(line.tripIds)) errors.push(`Line ${index + 1} is invalid`);
+        });
+        return errors;
+    },
+    
+    create: () => ({
+        version: CONSTANTS.VERSION,
+        exportedAt: new Date().toISOString(),
+        trips: state.trips,
+        lines: state.lines,
+        profile: state.profile,
+        paystubs: state.paystubs,
+        ranking: state.ranking
+    }),
+    
+    // Merge keeps the current profile and skips trips and lines whose id is already here
+    apply: (data, mode) => {
+        if (mode === 'replace') {
+            state.trips = data.trips;
+            state.lines = data.lines;
+            state.profile = { ...DEFAULT_PROFILE, ...data.profile };
+            state.paystubs = data.paystubs;
+            if (data.ranking) state.ranking = { ...DEFAULT_RANKING, ...data.ranking };
+            return { added: data.trips.length, duplicates: 0 };
+        }
+        
+        const tripIds = new Set(state.trips.map(trip => trip.id));
+        const lineIds = new Set(state.lines.map(line => line.id));
+        const newTrips = data.trips.filter(trip => !tripIds.has(trip.id));
+        state.trips = [...state.trips, ...newTrips];
+        state.lines = [...state.lines, ...data.lines.filter(line => !lineIds.has(line.id))];
+        state.paystubs = { ...data.paystubs, ...state.paystubs };
+        return { added: newTrips.length, duplicates: data.trips.length - newTrips.length };
+    }
+};
+
+function downloadBackup() {
+    const fileName = `jumpseat_fox_backup_${new Date().toISOString().split('T')[0]}.json`;
+    downloadFile(fileName, JSON.stringify(backupData.create(), null, 2), 'application/json');
+    showToast('Backup downloaded', 'success');
+}
+
+function handleRestoreFile(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+        const summary = $(ELEMENT_IDS.RESTORE_SUMMARY);
+        state.pendingRestore = null;
+        try {
+            const data = backupData.migrate(JSON.parse(String(reader.result)));
+            const errors = backupData.validate(data);
+            if (errors.length > 0) throw new Error(errors.join('; '));
+            
+            const currentIds = new Set(state.trips.map(trip => trip.id));
+            const duplicates = data.trips.filter(trip => currentIds.has(trip.id)).length;
+            state.pendingRestore = data;
+            summary.textContent = `${data.trips.length} trip${data.trips.length === 1 ? '' : 's'} and ${data.lines.length} line${data.lines.length === 1 ? '' : 's'}` +
+                (duplicates > 0 ? `, ${duplicates} already here (merge skips them)` : '');
+            summary.classList.remove('has-errors');
+        } catch (error) {
+            summary.textContent = `Can't restore this file: ${error.message}`;
+            summary.classList.add('has-errors');
+        }
+        summary.style.display = 'block';
+        $(ELEMENT_IDS.RESTORE_OPTIONS).style.display = state.pendingRestore ? 'block' : 'none';
+    };
+    reader.readAsText(file);
+}
+
+function confirmRestore() {
+    if (!state.pendingRestore) return;
+    const mode = document.querySelector('input[name="restore-mode"]:checked').value;
+    if (mode === 'replace' && state.trips.length > 0 && !confirm('Replace all current trips, lines and settings with the backup?')) return;
+    
+    history.saveState('restore', `backup (${mode})`);
+    const { added, duplicates } = backupData.apply(state.pendingRestore, mode);
+    state.pendingRestore = null;
+    $(ELEMENT_IDS.RESTORE_FILE).value = '';
+    $(ELEMENT_IDS.RESTORE_SUMMARY).style.display = 'none';
+    $(ELEMENT_IDS.RESTORE_OPTIONS).style.display = 'none';
+    renderTrips();
+    showToast(`Restored ${added} trip${added === 1 ? '' : 's'}${duplicates > 0 ? `, skipped ${duplicates} duplicate${duplicates === 1 ? '' : 's'}` : ''}`, 'success');
+}
+
+// Share links - trips encoded into the URL fragment, which browsers never send to a server
+const shareLink = {
+    PREFIX: '#share=',
+    
+    // Fields a link may carry for each leg and duty period, with the values each accepts
+    LIST_FIELDS: {
+        legs: {
+            flightNumber: /^[A-Z0-9 -]{0,10}$/i,
+            origin: /^[A-Z0-9]{0,4}$/i,
+            destination: /^[A-Z0-9]{0,4}$/i,
+            out: /^(?:\d{4}-\d{2}-\d{2}T\d{2}:\d{2})?$/,
+            in: /^(?:\d{4}-\d{2}-\d{2}T\d{2}:\d{2})?$/,
+            deadhead: 'boolean'
+        },
+        dutyPeriods: {
+            dutyHours: /^(?:\d{1,3}(?:\.\d*)?)?$/,
+            blockHours: /^(?:\d{1,3}(?:\.\d*)?)?$/
+        }
+    },
+    
+    // Drop ids, empty fields and switched-off toggles to keep the link short
+    compact: (trip) => {
+        const compacted = {};
+        spreadsheet.getFieldKeys().forEach(key => {
+            const value = trip[key];
+            if (key === 'id' || value === undefined || value === null || value === '' || value === 'No') return;
+            if (Array.isArray(value) && value.length === 0) return;
+            compacted[key] = value;
+        });
+        return compacted;
     },
     
-    renderToast: (message, type = 'info') => {
-        const template = templateRenderer.getTemplate('toast-template');
-        const toast = template.querySelector('.toast');
-        toast.classList.add(`toast-${type}`);
+    encode: (trips) => {
+        const bytes = new TextEncoder().encode(JSON.stringify(trips.map(shareLink.compact)));
+        let binary = '';
+        bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    },
+    
+    // Legs or duty periods from a link with only their known fields; anything malformed
+    // rejects the whole link rather than reaching the trip list
+    readList: (key, list) => {
+        if (!Array.isArray(list)) throw new Error(`${key} is not a list`);
+        const fields = shareLink.LIST_FIELDS[key];
+        return list.map((item, index) => {
+            if (typeof item !== 'object' || item === null || Array.isArray(item)) {
+                throw new Error(`${key}[${index}] is not an object`);
+            }
+            const clean = {};
+            Object.entries(fields).forEach(([field, accepts]) => {
+                const value = item[field];
+                if (value === undefined) return;
+                const valid = accepts === 'boolean'
+                    ? typeof value === 'boolean'
+                    : (typeof value === 'string' || typeof value === 'number') && accepts.test(String(value));
+                if (!valid) throw new Error(`${key}[${index}].${field} is not valid`);
+                clean[field] = accepts === 'boolean' ? value : String(value);
+            });
+            return clean;
+        });
+    },
+    
+    // Only known trip fields are kept from a link
+    decode: (encoded) => {
+        const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+        const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+        const trips = JSON.parse(new TextDecoder().decode(bytes));
+        if (!Array.isArray(trips)) throw new Error('Link does not contain trips');
         
-    if (message.includes('Undo')) {
-        const parts = message.split(/(<a.*?Undo<\/a>)/);
-            toast.querySelector('.toast-message').textContent = parts[0];
-            const undoLink = toast.querySelector('.toast-undo');
-            undoLink.style.display = 'inline';
-            undoLink.addEventListener('click', (e) => {
-                e.preventDefault();
-                history.undoLastOperation();
+        const fieldKeys = spreadsheet.getFieldKeys().filter(key => key !== 'id');
+        return trips.filter(trip => typeof trip === 'object' && trip !== null).map(trip => {
+            const clean = { id: `shared-${utils.generateId()}` };
+            fieldKeys.forEach(key => {
+                if (shareLink.LIST_FIELDS[key]) {
+                    if (trip[key] !== undefined) clean[key] = shareLink.readList(key, trip[key]);
+                } else if (trip[key] !== undefined && typeof trip[key] !== 'object') {
+                    clean[key] = String(trip[key]);
+                }
             });
-    } else {
-            toast.querySelector('.toast-message').textContent = message;
+            return clean;
+        });
+    },
+    
+    build: (trips) => `${window.location.origin}${window.location.pathname}${shareLink.PREFIX}${shareLink.encode(trips)}`
+};
+
+function renderShareTripOptions() {
+    renderTripChecklist($(ELEMENT_IDS.SHARE_TRIP_LIST), state.trips.map(trip => trip.id), 'Add some trips first, then share them.');
+    $(ELEMENT_IDS.SHARE_RESULT).style.display = 'none';
+}
+
+function createShareLink() {
+    const selectedIds = Array.from($(ELEMENT_IDS.SHARE_TRIP_LIST).querySelectorAll('input[type="checkbox"]:checked')).map(input => input.value);
+    const trips = state.trips.filter(trip => selectedIds.includes(trip.id));
+    if (trips.length === 0) {
+        showToast('Pick at least one trip to share', 'error');
+        return;
     }
     
-        $(ELEMENT_IDS.TOAST_CONTAINER).appendChild(toast);
+    const link = shareLink.build(trips);
+    $(ELEMENT_IDS.SHARE_LINK).value = link;
+    $(ELEMENT_IDS.SHARE_RESULT).style.display = 'block';
     
-    setTimeout(() => {
-        toast.style.opacity = '0';
-        toast.style.transform = 'translateX(-100%)';
-            setTimeout(() => toast.remove(), 300);
-    }, 3000);
+    // QR code is generated locally; links too long for a QR code still work as text
+    const qr = $(ELEMENT_IDS.SHARE_QR);
+    qr.innerHTML = '';
+    if (!window.qrcode) {
+        qr.textContent = 'QR code unavailable offline. Copy the link instead.';
+        return;
+    }
+    try {
+        const code = qrcode(0, 'L');
+        code.addData(link);
+        code.make();
+        qr.innerHTML = code.createSvgTag({ cellSize: 3, margin: 2, scalable: true });
+    } catch (error) {
+        qr.textContent = 'Too many trips for a QR code. Share the link, or pick fewer trips.';
+    }
 }
-};
 
-// Render all trips
-function renderTrips() {
-    const container = $(ELEMENT_IDS.TRIP_COMPARISON);
+function copyShareLink() {
+    copyFieldText(ELEMENT_IDS.SHARE_LINK, 'Link copied', 'link');
+}
+
+// Trips from a share link sit read-only next to the user's own until imported
+function loadSharedTrips() {
+    const hash = window.location.hash;
+    if (!hash.startsWith(shareLink.PREFIX)) return;
+    try {
+        state.sharedTrips = shareLink.decode(hash.slice(shareLink.PREFIX.length));
+    } catch (error) {
+        console.error('Error reading share link:', error);
+        showToast('This share link is damaged and could not be opened', 'error');
+    }
+    window.history.replaceState(null, '', window.location.pathname + window.location.search);
+    renderSharedTrips();
+}
+
+function renderSharedTrips() {
+    const container = $(ELEMENT_IDS.SHARED_COMPARISON);
+    if (!container) return;
     container.innerHTML = '';
+    container.style.display = state.sharedTrips.length > 0 ? '' : 'none';
+    if (state.sharedTrips.length === 0) return;
     
-    if (!state.trips || state.trips.length === 0) {
-        container.innerHTML = `
-            <div class="no-trips-message" id="no-trips-message">
-                <h2>No trips to compare yet</h2>
-                <p>Click the "+" button to add your first trip. You can add multiple trips to compare their value and find the best option.</p>
-                <button class="btn btn-primary" id="first-trip-btn">Add Your First Trip</button>
-            </div>
-        `;
-        $(ELEMENT_IDS.FIRST_TRIP_BTN).addEventListener('click', () => {
-            resetForm();
-            toggleSidePanel(true);
+    const header = templateRenderer.getTemplate('shared-header-template');
+    header.querySelector('.import-all-shared').addEventListener('click', () => importSharedTrips(state.sharedTrips.map(trip => trip.id)));
+    header.querySelector('.dismiss-shared').addEventListener('click', () => {
+        state.sharedTrips = [];
+        renderSharedTrips();
+    });
+    container.appendChild(header);
+    
+    const cards = document.createElement('div');
+    cards.className = 'shared-cards';
+    state.sharedTrips.forEach(trip => {
+        const card = templateRenderer.renderTripCard(trip);
+        card.classList.add('shared-trip');
+        const actions = card.querySelector('.trip-card-actions');
+        actions.innerHTML = '';
+        const importBtn = document.createElement('button');
+        importBtn.className = 'trip-card-action import-trip';
+        importBtn.setAttribute('aria-label', 'Import trip');
+        importBtn.title = 'Import';
+        importBtn.textContent = '📥';
+        importBtn.addEventListener('click', () => importSharedTrips([trip.id]));
+        actions.appendChild(importBtn);
+        cards.appendChild(card);
+    });
+    container.appendChild(cards);
+}
+
+function importSharedTrips(ids) {
+    const trips = state.sharedTrips.filter(trip => ids.includes(trip.id));
+    if (trips.length === 0) return;
+    history.saveState('import', trips.map(trip => `"${trip.name}"`).join(', '));
+    trips.forEach(trip => {
+        state.trips.push({
+            ...trip,
+            id: utils.generateId(),
+            color: /^#[0-9a-f]{6}$/i.test(trip.color || '') ? trip.color : utils.getRandomColor()
         });
-            return;
-        }
+    });
+    state.sharedTrips = state.sharedTrips.filter(trip => !ids.includes(trip.id));
+    renderSharedTrips();
+    renderTrips();
+    showToast(`Imported ${trips.length} shared trip${trips.length === 1 ? '' : 's'}`, 'success');
+}
+
+// Monthly lines - a line groups the trips bid for one month
+const lineBuilder = {
+    // `pool` is where the line's trip ids are looked up; the what-if panel adds shared trips
+    getTrips: (line, pool = state.trips) => (line.tripIds || [])
+        .map(id => pool.find(t => t.id === id))
+        .filter(Boolean),
+    
+    isReserve: (line) => line.type === 'reserve',
+    
+    // Total the line's trips and top up to the monthly minimum guarantee
+    calculateLine: (line, pool = state.trips) => {
+        const trips = lineBuilder.getTrips(line, pool);
+        if (lineBuilder.isReserve(line)) return lineBuilder.calculateReserve(line, trips);
+        const totals = trips.reduce((acc, trip) => {
+            const calc = calculateTripPay(trip);
+            acc.creditedHours += calc.creditedHours || 0;
+            acc.tafbHours += calc.dutyHours || 0;
+            acc.perDiem += calc.perDiem;
+            acc.tripGrossPay += calc.totalGrossPay;
+            acc.days += parseInt(trip.tripLength) || 1;
+            return acc;
+        }, { creditedHours: 0, tafbHours: 0, perDiem: 0, tripGrossPay: 0, days: 0 });
         
-    // Find best value trip
-        let bestValueTripId = null;
-        let bestMetric = -Infinity;
+        // Guarantee is paid at the base rate in force on the first of the month
+        const { table, payData } = contractTables.resolve({
+            ...(trips[0] || {}),
+            tripDate: line.month ? `${line.month}-01` : ''
+        });
+        // A typed guarantee, zero included, replaces the contract's
+        const typedGuarantee = parseFloat(line.guaranteeHours);
+        const guaranteeHours = Number.isFinite(typedGuarantee) ? typedGuarantee : table.monthlyGuaranteeHours || 0;
+        const shortfallHours = Math.max(guaranteeHours - totals.creditedHours, 0);
+        const guaranteePay = shortfallHours * payData.baseRate;
+        const lineValue = totals.tripGrossPay + guaranteePay;
         
-    state.trips.forEach(trip => {
-        const calc = calculateTripPay(trip);
-                if (calc.perDayValue > bestMetric) {
-                    bestMetric = calc.perDayValue;
-                    bestValueTripId = trip.id;
+        return {
+            ...totals,
+            tripCount: trips.length,
+            guaranteeHours, shortfallHours, guaranteePay, lineValue,
+            paidHours: Math.max(totals.creditedHours, guaranteeHours),
+            perDayValue: totals.days > 0 ? lineValue / totals.days : 0
+        };
+    },
+    
+    // Reserve lines are paid the greater of the guarantee and assignment credit, plus premiums
+    calculateReserve: (line, trips) => {
+        const reserve = reserveMonth.calculate(line, trips);
+        const days = reserve.reserveDays || reserve.days;
+        return {
+            ...reserve,
+            tripCount: trips.length,
+            lineValue: reserve.monthPay,
+            perDayValue: days > 0 ? reserve.monthPay / days : 0
+        };
+    }
+};
+
+// Render all monthly lines side by side
+function renderLines() {
+    const container = $(ELEMENT_IDS.LINE_COMPARISON);
+    if (!container) return;
+    container.innerHTML = '';
+    container.style.display = state.lines.length > 0 ? '' : 'none';
+    
+    // Best line by total line value
+    let bestLineId = null;
+    let bestValue = -Infinity;
+    const calculations = {};
+    state.lines.forEach(line => {
+        calculations[line.id] = lineBuilder.calculateLine(line);
+        if (calculations[line.id].lineValue > bestValue) {
+            bestValue = calculations[line.id].lineValue;
+            bestLineId = line.id;
         }
     });
     
-    // Render each trip
-    state.trips.forEach(trip => {
-        const card = templateRenderer.renderTripCard(trip);
-        if (trip.id === bestValueTripId && state.trips.length > 1) {
-                    card.classList.add('best-trip');
-                    card.querySelector('.best-value-badge').style.display = 'block';
-                }
+    state.lines.forEach(line => {
+        const card = templateRenderer.renderLineCard(line, calculations[line.id]);
+        if (line.id === bestLineId && state.lines.length > 1) {
+            card.classList.add('best-trip');
+            card.querySelector('.best-value-badge').style.display = 'block';
+        }
         container.appendChild(card);
     });
-    
-    saveTripsToLocalStorage();
 }
 
-// Save trips to localStorage
-function saveTripsToLocalStorage() {
-    try {
-        const data = { version: CONSTANTS.VERSION, trips: state.trips };
-        localStorage.setItem(CONSTANTS.STORAGE_KEY, JSON.stringify(data));
-    } catch (error) {
-        console.error('Error saving trips:', error);
-    }
+// Fill the line form's trip checklist from the current trips
+function renderLineTripOptions(selectedIds = []) {
+    renderTripChecklist($(ELEMENT_IDS.LINE_TRIP_LIST), selectedIds, 'Add some trips first, then group them into a line.');
 }
 
-// Load trips from localStorage
-function loadTripsFromLocalStorage() {
-    try {
-        const saved = localStorage.getItem(CONSTANTS.STORAGE_KEY);
-        if (saved) {
-            const data = JSON.parse(saved);
-            state.trips = Array.isArray(data) ? data : (data.trips || []);
-        }
-    } catch (error) {
-        console.error('Error loading trips:', error);
-        state.trips = [];
+// Checkbox per trip, used by the line form, the share panel and the what-if panel
+function renderTripChecklist(list, selectedIds, emptyText, trips = state.trips) {
+    list.querySelectorAll('.line-trip-option, .form-help-text').forEach(el => el.remove());
+    
+    if (trips.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'form-help-text';
+        empty.textContent = emptyText;
+        list.appendChild(empty);
+        return;
     }
+    
+    trips.forEach(trip => {
+        const option = document.createElement('label');
+        option.className = 'line-trip-option';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = trip.id;
+        checkbox.checked = selectedIds.includes(trip.id);
+        option.appendChild(checkbox);
+        option.appendChild(document.createTextNode(` ${trip.name || 'Unnamed Trip'}`));
+        list.appendChild(option);
+    });
 }
 
-// Trip operations
-const tripOperations = {
-    add: (tripData) => {
-        history.saveState('add', 'new');
-        const newTrip = { id: utils.generateId(), color: utils.getRandomColor(), ...tripData };
-        state.trips.push(newTrip);
-        renderTrips();
-        showToast(`Trip "${newTrip.name}" added successfully`, 'success');
+function resetLineForm() {
+    $(ELEMENT_IDS.LINE_FORM).reset();
+    state.editingLineId = null;
+    $(ELEMENT_IDS.LINE_PANEL_TITLE).textContent = 'Build Monthly Line';
+    $(ELEMENT_IDS.LINE_MONTH).value = contractTables.toDateKey().slice(0, 7);
+    renderLineTripOptions();
+    syncLineType();
+}
+
+// Reserve lines take reserve days, and their trips are the month's assignments
+function syncLineType() {
+    const isReserve = $(ELEMENT_IDS.LINE_TYPE).value === 'reserve';
+    $(ELEMENT_IDS.LINE_RESERVE_GROUP).hidden = !isReserve;
+    $(ELEMENT_IDS.LINE_TRIP_LIST).querySelector('legend').textContent = isReserve ? 'Assignments flown' : 'Trips in this line';
+}
+
+// Line operations
+const lineOperations = {
+    save: (lineData) => {
+        history.saveState(state.editingLineId ? 'update' : 'add', `line "${lineData.name}"`);
+        if (state.editingLineId) {
+            const index = state.lines.findIndex(l => l.id === state.editingLineId);
+            if (index !== -1) state.lines[index] = { ...lineData, id: state.editingLineId };
+            showToast(`Line "${lineData.name}" updated successfully`, 'success');
+        } else {
+            state.lines.push({ id: utils.generateId(), ...lineData });
+            showToast(`Line "${lineData.name}" added successfully`, 'success');
+        }
+        renderLines();
+        saveTripsToLocalStorage();
     },
     
-    update: (tripId, tripData) => {
-        history.saveState('update', tripId);
-        const index = state.trips.findIndex(t => t.id === tripId);
-        if (index !== -1) {
-            const oldColor = state.trips[index].color;
-            state.trips[index] = { ...tripData, id: tripId, color: oldColor };
-            renderTrips();
-            showToast(`Trip "${tripData.name}" updated successfully`, 'success');
+    delete: (lineId) => {
+        const index = state.lines.findIndex(l => l.id === lineId);
+        if (index !== -1 && confirm(`Delete line "${state.lines[index].name}"?`)) {
+            history.saveState('delete', `line "${state.lines[index].name}"`);
+            const [removed] = state.lines.splice(index, 1);
+            renderLines();
+            saveTripsToLocalStorage();
+            showToast(`Line "${removed.name}" deleted`, 'info');
         }
     },
     
-    delete: (tripId) => {
-        const index = state.trips.findIndex(t => t.id === tripId);
-        if (index !== -1) {
-            const tripName = state.trips[index].name;
-            if (confirm(`Delete trip "${tripName}"?`)) {
-                history.saveState('delete', tripId);
-                state.trips.splice(index, 1);
-                renderTrips();
-                showToast(`Trip "${tripName}" deleted. <a href="#" id="undo-delete">Undo</a>`, 'info');
-                
-        setTimeout(() => {
-            const undoLink = document.getElementById('undo-delete');
-            if (undoLink) {
-                        undoLink.addEventListener('click', (e) => {
-                    e.preventDefault();
-                            history.undoLastOperation();
-                });
+    edit: (lineId) => {
+        const line = state.lines.find(l => l.id === lineId);
+        if (line) {
+            resetLineForm();
+            state.editingLineId = lineId;
+            $(ELEMENT_IDS.LINE_PANEL_TITLE).textContent = 'Edit Monthly Line';
+            $(ELEMENT_IDS.LINE_NAME).value = line.name || '';
+            $(ELEMENT_IDS.LINE_MONTH).value = line.month || '';
+            $(ELEMENT_IDS.LINE_TYPE).value = line.type || 'line';
+            $(ELEMENT_IDS.LINE_GUARANTEE_HOURS).value = line.guaranteeHours || '';
+            $(ELEMENT_IDS.LINE_RESERVE_DAYS).value = line.reserveDays || '';
+            renderLineTripOptions(line.tripIds || []);
+            syncLineType();
+            toggleToolPanel(ELEMENT_IDS.LINE_PANEL, true);
+        }
+    }
+};
+
+function handleLineFormSubmit(e) {
+    e.preventDefault();
+    
+    const nameInput = $(ELEMENT_IDS.LINE_NAME);
+    const monthInput = $(ELEMENT_IDS.LINE_MONTH);
+    let isValid = true;
+    [nameInput, monthInput].forEach(element => {
+        if (!element.value.trim()) {
+            element.setAttribute('aria-invalid', 'true');
+            isValid = false;
+        } else {
+            element.removeAttribute('aria-invalid');
+        }
+    });
+    if (!isValid) {
+        showToast('Please fix the errors in the form', 'error');
+        return;
+    }
+    
+    const tripIds = Array.from($(ELEMENT_IDS.LINE_TRIP_LIST).querySelectorAll('input[type="checkbox"]:checked'))
+        .map(checkbox => checkbox.value);
+    
+    lineOperations.save({
+        name: nameInput.value.trim(),
+        month: monthInput.value,
+        type: $(ELEMENT_IDS.LINE_TYPE).value,
+        guaranteeHours: $(ELEMENT_IDS.LINE_GUARANTEE_HOURS).value,
+        reserveDays: $(ELEMENT_IDS.LINE_TYPE).value === 'reserve' ? $(ELEMENT_IDS.LINE_RESERVE_DAYS).value : '',
+        tripIds
+    });
+    resetLineForm();
+    toggleToolPanel(ELEMENT_IDS.LINE_PANEL, false);
+}
+
+// What-if trades - the month priced before and after dropping and picking up trips
+const tradeSimulator = {
+    // Saved lines keep their guarantee and reserve settings; other months are the trips dated in them
+    getBases: () => {
+        const months = new Set(state.trips.map(paycheckProjection.getTripDate).filter(Boolean).map(date => date.slice(0, 7)));
+        return [
+            ...state.lines.map(line => ({ ...line, label: `${line.name || 'Unnamed Line'} (${line.month || 'no month'})` })),
+            ...Array.from(months).sort().reverse().map(month => ({
+                id: `month:${month}`,
+                month,
+                label: `Trips dated ${month}`,
+                tripIds: state.trips.filter(trip => (paycheckProjection.getTripDate(trip) || '').startsWith(month)).map(trip => trip.id)
+            }))
+        ];
+    },
+    
+    // Trips a what-if can pick up from: the user's own and any opened from a share link
+    getPool: () => [...state.trips, ...state.sharedTrips],
+    
+    // Calendar days on a trip, each counted once however many trips cover it;
+    // undated trips count their trip length
+    countDaysWorked: (trips) => {
+        const days = new Set();
+        let undatedDays = 0;
+        trips.forEach(trip => {
+            const start = paycheckProjection.getTripDate(trip);
+            const length = parseInt(trip.tripLength) || 1;
+            if (!start) {
+                undatedDays += length;
+                return;
             }
-        }, 10);
+            for (let offset = 0; offset < length; offset++) {
+                days.add(new Date(Date.parse(`${start}T00:00:00Z`) + offset * 86400000).toISOString().slice(0, 10));
             }
-        }
+        });
+        return days.size + undatedDays;
     },
     
-    edit: (tripId) => {
-        const trip = state.trips.find(t => t.id === tripId);
-        if (trip) {
-            state.editingTripId = tripId;
-            setFormData(trip);
-            toggleSidePanel(true);
-        }
+    // Month totals for one set of trips; each trip is priced by calculateTripPay through the line builder
+    summarize: (base, tripIds) => {
+        const pool = tradeSimulator.getPool();
+        const calc = lineBuilder.calculateLine({ ...base, tripIds }, pool);
+        const month = base.month || contractTables.toDateKey().slice(0, 7);
+        const daysInMonth = parseInt(paycheckProjection.lastDayOf(month).slice(8));
+        const tripDays = tradeSimulator.countDaysWorked(lineBuilder.getTrips({ tripIds }, pool));
+        const daysWorked = lineBuilder.isReserve(base) ? Math.max(calc.reserveDays, tripDays) : tripDays;
+        const withholding = taxEngine.calculate(retirementPlan.getSettings(), { tripDate: `${month}-01` }, calc.lineValue, calc.perDiem);
+        return {
+            gross: calc.lineValue,
+            net: withholding.netPay,
+            isEstimated: withholding.isEstimated,
+            creditedHours: calc.creditedHours,
+            paidHours: calc.paidHours,
+            daysOff: Math.max(daysInMonth - daysWorked, 0)
+        };
+    },
+    
+    simulate: (base, dropIds, addIds) => {
+        const tripIds = (base.tripIds || []).filter(id => !dropIds.includes(id));
+        return {
+            before: tradeSimulator.summarize(base, base.tripIds || []),
+            after: tradeSimulator.summarize(base, [...tripIds, ...addIds.filter(id => !tripIds.includes(id))])
+        };
     }
 };
 
-// Destructure for convenience
-const { add: addTrip, update: updateTrip, delete: deleteTrip, edit: editTrip } = tripOperations;
+const WHAT_IF_ROWS = [
+    { key: 'gross', label: 'Gross Pay', format: 'currency' },
+    { key: 'net', label: 'Net Pay (est.)', format: 'currency' },
+    { key: 'creditedHours', label: 'Credit', format: 'hours' },
+    { key: 'paidHours', label: 'Paid Credit', format: 'hours' },
+    { key: 'daysOff', label: 'Days Off', format: 'days' }
+];
+
+// Fill the what-if base selector, keeping the current choice when it still exists
+function renderWhatIfBases() {
+    const select = $(ELEMENT_IDS.WHAT_IF_BASE);
+    const current = select.value;
+    select.innerHTML = '';
+    tradeSimulator.getBases().forEach(base => {
+        const option = document.createElement('option');
+        option.value = base.id;
+        option.textContent = base.label;
+        select.appendChild(option);
+    });
+    if (Array.from(select.options).some(option => option.value === current)) select.value = current;
+    renderWhatIfTrips();
+}
+
+// Drop from the base month's trips, pick up from every other trip, shared ones included
+function renderWhatIfTrips() {
+    const base = tradeSimulator.getBases().find(item => item.id === $(ELEMENT_IDS.WHAT_IF_BASE).value);
+    const baseIds = base ? base.tripIds || [] : [];
+    renderTripChecklist($(ELEMENT_IDS.WHAT_IF_DROP_LIST), [], 'No trips in this month yet.',
+        state.trips.filter(trip => baseIds.includes(trip.id)));
+    renderTripChecklist($(ELEMENT_IDS.WHAT_IF_ADD_LIST), [], 'No other trips to pick up.', [
+        ...state.trips.filter(trip => !baseIds.includes(trip.id)),
+        ...state.sharedTrips.map(trip => ({ ...trip, name: `${trip.name || 'Unnamed Trip'} (shared)` }))
+    ]);
+    renderWhatIfResult();
+}
+
+function renderWhatIfResult() {
+    const result = $(ELEMENT_IDS.WHAT_IF_RESULT);
+    result.innerHTML = '';
+    const base = tradeSimulator.getBases().find(item => item.id === $(ELEMENT_IDS.WHAT_IF_BASE).value);
+    if (!base) {
+        result.innerHTML = '<p class="form-help-text">Build a monthly line or give your trips a trip date to simulate a trade.</p>';
+        return;
+    }
+    
+    const checked = listId => Array.from($(listId).querySelectorAll('input[type="checkbox"]:checked')).map(checkbox => checkbox.value);
+    const { before, after } = tradeSimulator.simulate(base, checked(ELEMENT_IDS.WHAT_IF_DROP_LIST), checked(ELEMENT_IDS.WHAT_IF_ADD_LIST));
+    
+    const table = document.createElement('table');
+    table.className = 'comparison-table what-if-table';
+    const headRow = table.createTHead().insertRow();
+    ['', 'Before', 'After'].forEach(text => {
+        const th = document.createElement('th');
+        th.scope = 'col';
+        th.textContent = text;
+        headRow.appendChild(th);
+    });
+    const body = table.createTBody();
+    WHAT_IF_ROWS.filter(row => row.key !== 'net' || before.isEstimated).forEach(row => {
+        const tr = body.insertRow();
+        const th = document.createElement('th');
+        th.scope = 'row';
+        th.textContent = row.label;
+        tr.appendChild(th);
+        tr.insertCell().textContent = comparisonTable.format(before[row.key], row.format);
+        
+        // Every row is better when it goes up
+        const td = tr.insertCell();
+        const value = document.createElement('span');
+        value.className = 'comparison-value';
+        value.textContent = comparisonTable.format(after[row.key], row.format);
+        const delta = after[row.key] - before[row.key];
+        const deltaText = document.createElement('span');
+        deltaText.className = 'comparison-delta';
+        if (Math.abs(delta) >= 0.005) deltaText.classList.add(delta > 0 ? 'delta-up' : 'delta-down');
+        deltaText.textContent = comparisonTable.formatDelta(delta, row.format);
+        td.append(value, deltaText);
+    });
+    result.appendChild(table);
+    
+    if (!before.isEstimated) {
+        const note = document.createElement('p');
+        note.className = 'form-help-text';
+        note.textContent = 'Set up your profile to estimate net pay.';
+        result.appendChild(note);
+    }
+}
+
+// Profile form
+function setProfileFormData(profile) {
+    PROFILE_FIELDS.forEach(field => {
+        const element = $(field.id);
+        if (element) element.value = profile[field.key] !== undefined ? profile[field.key] : DEFAULT_PROFILE[field.key];
+    });
+}
+
+function handleProfileFormSubmit(e) {
+    e.preventDefault();
+    
+    const profile = {};
+    PROFILE_FIELDS.forEach(field => {
+        const element = $(field.id);
+        if (element) profile[field.key] = element.value;
+    });
+    history.saveState('update', 'crew profile');
+    state.profile = { ...DEFAULT_PROFILE, ...profile };
+    syncPayYear();
+    
+    renderTrips();
+    toggleToolPanel(ELEMENT_IDS.PROFILE_PANEL, false);
+    showToast('Profile saved', 'success');
+}
 
 // Form submission with validation
 function handleFormSubmit(e) {
@@ -966,6 +3647,30 @@ function validateForm() {
 function setupEventListeners() {
     // Core event listeners
     $(ELEMENT_IDS.TRIP_FORM).addEventListener('submit', handleFormSubmit);
+    $(ELEMENT_IDS.LINE_FORM).addEventListener('submit', handleLineFormSubmit);
+    $(ELEMENT_IDS.LINE_TYPE).addEventListener('change', syncLineType);
+    $(ELEMENT_IDS.WHAT_IF_BASE).addEventListener('change', renderWhatIfTrips);
+    [ELEMENT_IDS.WHAT_IF_DROP_LIST, ELEMENT_IDS.WHAT_IF_ADD_LIST].forEach(id => {
+        $(id).addEventListener('change', renderWhatIfResult);
+    });
+    $(ELEMENT_IDS.PROFILE_FORM).addEventListener('submit', handleProfileFormSubmit);
+    $(ELEMENT_IDS.PAYSTUB_FORM).addEventListener('submit', handlePaystubFormSubmit);
+    $(ELEMENT_IDS.PAYSTUB_CHECK).addEventListener('change', loadPaystubItems);
+    $(ELEMENT_IDS.PAYSTUB_FILE).addEventListener('change', importPaystubFile);
+    $(ELEMENT_IDS.IMPORT_FILE).addEventListener('change', handleImportFile);
+    $(ELEMENT_IDS.RESTORE_FILE).addEventListener('change', handleRestoreFile);
+    $(ELEMENT_IDS.REFERENCE_TRIP).addEventListener('change', (event) => {
+        state.comparison = { ...state.comparison, referenceTripId: event.target.value };
+        renderTrips();
+    });
+    $(ELEMENT_IDS.DONUT_TRIP).addEventListener('change', (event) => {
+        state.comparison = { ...state.comparison, donutTripId: event.target.value };
+        renderTrips();
+    });
+    $(ELEMENT_IDS.SORT_BY_RANK).addEventListener('change', (event) => {
+        state.ranking = { ...state.ranking, sortByRank: event.target.checked };
+        renderTrips();
+    });
     
     // Button handlers
     Object.entries(BUTTONS).forEach(([id, handler]) => {
@@ -985,17 +3690,39 @@ function setupEventListeners() {
         }
     });
     
+    // Pay year follows the profile's hire date and the trip date
+    $(ELEMENT_IDS.TRIP_DATE).addEventListener('change', syncPayYear);
+    
+    // TAFB and holiday hours follow the report and release times
+    [ELEMENT_IDS.REPORT_TIME, ELEMENT_IDS.REPORT_STATION, ELEMENT_IDS.RELEASE_TIME, ELEMENT_IDS.RELEASE_STATION,
+        ELEMENT_IDS.BASE_TIME_ZONE, ELEMENT_IDS.TRIP_DATE].forEach(id => {
+        const input = $(id);
+        if (input) input.addEventListener('change', () => { legEditor.sync(); syncHolidayHours(); });
+    });
+    
+    // Clearing the printed totals leaves the credit and TAFB worked out by the form
+    $(ELEMENT_IDS.CLEAR_PRINTED_TOTALS_BTN).addEventListener('click', () => {
+        $(ELEMENT_IDS.PRINTED_CREDIT_HOURS).value = '';
+        $(ELEMENT_IDS.PRINTED_TAFB_HOURS).value = '';
+        legEditor.sync();
+    });
+    
+    // Credit follows the duty periods and the trip rig follows TAFB
+    [ELEMENT_IDS.TAFB_HOURS, ELEMENT_IDS.TAFB_MINUTES].forEach(id => {
+        const input = $(id);
+        if (input) input.addEventListener('change', syncCreditGuarantee);
+    });
+    
     // Input validation
     const validationPatterns = {
         numeric: { regex: /^\d*\.?\d*$/, min: 0, max: Infinity },
         minutes: { regex: /^\d*$/, min: 0, max: 59 },
-        percentage: { regex: /^\d*\.?\d*$/, min: 0, max: 100 },
-        holidayHours: { regex: /^\d*\.?\d*$/, min: 0, max: 24 }
+        percentage: { regex: /^\d*\.?\d*$/, min: 0, max: 100 }
     };
     
     // Apply validation to inputs
     const inputsToValidate = [
-        ...FORM_FIELDS.text.filter(f => f.id === ELEMENT_IDS.RETIREMENT_PERCENTAGE || f.id === ELEMENT_IDS.TAX_RATE),
+        ...PROFILE_FIELDS.filter(f => validationPatterns[f.type || 'numeric']),
         ...FORM_FIELDS.numbers,
         ...FORM_FIELDS.hours.map(f => ({ id: f.minutes, type: 'minutes' }))
     ];
@@ -1026,8 +3753,9 @@ function setupEventListeners() {
     if (holidayInput) {
         holidayInput.addEventListener('change', function() {
             const val = parseFloat(this.value);
+            const maxHours = tripRules.getMaxHolidayHours(formProcessor.getData());
             if (isNaN(val) || val < 0) this.value = '0';
-            if (val > 24) this.value = '24';
+            else if (val > maxHours) this.value = String(maxHours);
             validateHours();
         });
     }
@@ -1037,8 +3765,10 @@ function setupEventListeners() {
         'Alt+1': () => $(ELEMENT_IDS.TRIP_COMPARISON).focus(),
         'Alt+2': () => $(ELEMENT_IDS.ADD_TRIP_BTN).focus(),
         'Ctrl+n': () => { resetForm(); toggleSidePanel(true); },
-        'Escape': () => toggleSidePanel(false),
+        'Escape': () => { toggleSidePanel(false); closeToolPanels(); },
         'Ctrl+z': () => history.undoLastOperation(),
+        'Ctrl+Shift+z': () => history.redoLastOperation(),
+        'Ctrl+y': () => history.redoLastOperation(),
         'Ctrl+s': () => {
             const sidePanel = $(ELEMENT_IDS.SIDE_PANEL);
             if (sidePanel && !sidePanel.classList.contains('collapsed')) {
@@ -1048,10 +3778,11 @@ function setupEventListeners() {
     };
     
     document.addEventListener('keydown', (e) => {
-        if (e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT') return;
+        // Text fields keep their own undo, redo and Escape
+        if (['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName) || e.target.isContentEditable) return;
         
         const key = e.key.toLowerCase();
-        const modifier = e.altKey ? 'Alt+' : e.ctrlKey || e.metaKey ? 'Ctrl+' : '';
+        const modifier = e.altKey ? 'Alt+' : e.ctrlKey || e.metaKey ? (e.shiftKey ? 'Ctrl+Shift+' : 'Ctrl+') : '';
         const shortcut = modifier + key;
         
         if (shortcuts[shortcut]) {
@@ -1064,13 +3795,56 @@ function setupEventListeners() {
 // Initialize app
 function init() {
     loadTripsFromLocalStorage();
+    premiumForm.render();
+    renderTimeZoneOptions();
     setupEventListeners();
     setupTooltipHandlers();
     updateToggleLabels();
     toggleConditionalFields();
     renderTrips();
+    loadSharedTrips();
+    window.addEventListener('hashchange', loadSharedTrips);
+    offlineApp.register();
 }
 
+// Offline install - sw.js caches the app; a newly deployed version waits until the user accepts it
+const offlineApp = {
+    waitingWorker: null,
+    isUpdating: false,
+    
+    register: () => {
+        if (!('serviceWorker' in navigator) || window.location.protocol === 'file:') return;
+        
+        navigator.serviceWorker.register('sw.js').then(registration => {
+            // A controller means an older version is running; the first install needs no prompt
+            if (registration.waiting && navigator.serviceWorker.controller) offlineApp.promptUpdate(registration.waiting);
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                worker.addEventListener('statechange', () => {
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) offlineApp.promptUpdate(worker);
+                });
+            });
+        }).catch(error => console.error('Service worker registration failed:', error));
+        
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (offlineApp.isUpdating) window.location.reload();
+        });
+    },
+    
+    promptUpdate: (worker) => {
+        offlineApp.waitingWorker = worker;
+        $(ELEMENT_IDS.UPDATE_BANNER).style.display = 'flex';
+    },
+    
+    // The new worker takes over, then controllerchange reloads the page onto it
+    applyUpdate: () => {
+        if (!offlineApp.waitingWorker) return;
+        offlineApp.isUpdating = true;
+        $(ELEMENT_IDS.UPDATE_BANNER).style.display = 'none';
+        offlineApp.waitingWorker.postMessage('skipWaiting');
+    }
+};
+
 // Setup tooltip click handlers for mobile
 function setupTooltipHandlers() {
     document.addEventListener('click', (event) => {
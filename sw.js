@@ -0,0 +1,51 @@
+// Jumpseat Fox - Service worker
+// Keeps the app shell and the vendored export libraries in a cache so the calculator,
+// PDF and spreadsheet exports and share links all work without a connection.
+// The files share globals, so each version of the shell is cached whole and served whole:
+// bump CACHE_VERSION with every deploy that changes a file below. The new worker then
+// installs beside the running one and waits until the page accepts the update prompt.
+
+const CACHE_VERSION = 'jumpseat-fox-v2';
+
+const APP_SHELL = [
+    './',
+    'index.html',
+    'styles.css',
+    'pay-engine.js',
+    'script.js',
+    'manifest.webmanifest',
+    'AFT%20Logo.svg',
+    'vendor/jspdf/2.5.1/jspdf.umd.min.js',
+    'vendor/xlsx/0.18.5/xlsx.full.min.js',
+    'vendor/qrcode-generator/1.4.4/qrcode.js'
+];
+
+// Fetched past the HTTP cache, so a new version never stores a stale copy of a file
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(CACHE_VERSION)
+        .then(cache => cache.addAll(APP_SHELL.map(url => new Request(url, { cache: 'reload' })))));
+});
+
+// Drops the caches of earlier versions once the new one takes over
+self.addEventListener('activate', (event) => {
+    event.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys.filter(key => key !== CACHE_VERSION).map(key => caches.delete(key))))
+        .then(() => self.clients.claim()));
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data === 'skipWaiting') self.skipWaiting();
+});
+
+// Cache first for the shell; other origins (feedback form, Ko-fi) go straight to the network
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    // Every navigation, share links included, is the one page
+    const cached = request.mode === 'navigate'
+        ? caches.open(CACHE_VERSION).then(cache => cache.match('index.html'))
+        : caches.open(CACHE_VERSION).then(cache => cache.match(request, { ignoreSearch: true }));
+    event.respondWith(cached.then(response => response || fetch(request)));
+});
@@ -0,0 +1,143 @@
+// Jumpseat Fox - Pairing parser fixtures
+// Each fixture is a pairing printout as pasted from crew scheduling. Run with: node --test tests/
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { pairingParser } = require('../pay-engine.js');
+
+const parseFixture = name => pairingParser.parse(
+    fs.readFileSync(path.join(__dirname, 'fixtures', 'pairings', name), 'utf8'));
+
+// Hours compared as whole minutes, so sums of H.MM durations compare exactly
+const minutes = hours => Math.round(hours * 60);
+
+// Legs as [day, flight, origin, out, destination, in, deadhead, block minutes]
+const legRows = result => result.legs.map(leg =>
+    [leg.day, leg.flightNumber, leg.origin, leg.out, leg.destination, leg.in, leg.deadhead, minutes(leg.blockHours)]);
+
+// Duty periods as [legs, duty minutes, block minutes, credit minutes]
+const dutyRows = result => result.dutyPeriods.map(period =>
+    [period.legs.length, minutes(period.dutyHours), minutes(period.blockHours), minutes(period.creditHours)]);
+
+test('three-day pairing with duty lines and printed totals', () => {
+    const result = parseFixture('three-day-domestic.txt');
+
+    assert.equal(result.pairingId, 'W1234');
+    assert.equal(result.tripDate, '2026-10-05');
+    assert.equal(result.baseStation, 'ORD');
+    assert.deepEqual(legRows(result), [
+        [1, 'AA1520', 'ORD', '0630', 'LGA', '0945', false, 135],
+        [1, '890', 'LGA', '1100', 'DCA', '1215', true, 75],
+        [2, '1771', 'DCA', '0800', 'MIA', '1040', false, 160],
+        [2, '1772', 'MIA', '1200', 'DCA', '1435', false, 155],
+        [3, '2231', 'DCA', '0700', 'ORD', '0820', false, 140],
+        [3, '2232', 'ORD', '1000', 'SFO', '1230', false, 270]
+    ]);
+    assert.deepEqual(dutyRows(result), [
+        [2, 450, 135, 240],
+        [2, 485, 315, 315],
+        [2, 440, 410, 410]
+    ]);
+    assert.equal(minutes(result.blockHours), 14 * 60 + 20);
+    assert.equal(minutes(result.creditHours), 16 * 60 + 5);
+    assert.equal(minutes(result.tafbHours), 58 * 60 + 15);
+    assert.equal(result.tripLength, 3);
+    // Layover, hotel, rest, crew, equipment and rule lines are known and skipped
+    assert.deepEqual(result.unparsed, []);
+    assert.deepEqual(result.warnings, []);
+});
+
+test('three-day pairing fills the trip form', () => {
+    const data = pairingParser.toFormData(parseFixture('three-day-domestic.txt'));
+
+    assert.equal(data.name, 'W1234');
+    assert.equal(data.tripDate, '2026-10-05');
+    assert.equal(data.baseTimeZone, 'America/Chicago');
+    assert.equal(data.tripLength, '3');
+    assert.deepEqual([data.creditedHoursHours, data.creditedHoursMinutes], ['16', '5']);
+    assert.deepEqual([data.tafbHours, data.tafbMinutes], ['58', '15']);
+    assert.deepEqual([data.printedCreditHours, data.printedTafbHours], ['16.08', '58.25']);
+    assert.deepEqual(data.legs.map(leg => [leg.flightNumber, leg.out, leg.in, leg.deadhead]), [
+        ['AA1520', '2026-10-05T06:30', '2026-10-05T09:45', false],
+        ['890', '2026-10-05T11:00', '2026-10-05T12:15', true],
+        ['1771', '2026-10-06T08:00', '2026-10-06T10:40', false],
+        ['1772', '2026-10-06T12:00', '2026-10-06T14:35', false],
+        ['2231', '2026-10-07T07:00', '2026-10-07T08:20', false],
+        ['2232', '2026-10-07T10:00', '2026-10-07T12:30', false]
+    ]);
+    assert.deepEqual(data.dutyPeriods, [
+        { dutyHours: '7.50', blockHours: '2.25' },
+        { dutyHours: '8.08', blockHours: '5.25' },
+        { dutyHours: '7.33', blockHours: '6.83' }
+    ]);
+});
+
+test('two-day pairing without duty lines or totals', () => {
+    const result = parseFixture('two-day-no-duty-lines.txt');
+
+    assert.equal(result.pairingId, '5521');
+    assert.equal(result.tripDate, '2027-03-14');
+    assert.equal(result.baseStation, '');
+    assert.deepEqual(legRows(result), [
+        [1, 'UA301', 'DEN', '1905', 'LAX', '2040', false, 155],
+        [1, '302', 'LAX', '2230', 'SEA', '0055', false, 145],
+        // No block printed: 14:00 PDT to 17:45 MDT
+        [2, '77', 'SEA', '1400', 'DEN', '1745', true, 165]
+    ]);
+    // A new day number closes the duty period; deadheads carry no block
+    assert.deepEqual(dutyRows(result), [
+        [2, 0, 300, 0],
+        [1, 0, 0, 0]
+    ]);
+    assert.equal(minutes(result.blockHours), 5 * 60);
+    assert.equal(minutes(result.creditHours), 5 * 60);
+    // First departure 19:05 on day 1 to last arrival 17:45 on day 2
+    assert.equal(minutes(result.tafbHours), 22 * 60 + 40);
+    assert.equal(result.tripLength, 2);
+    assert.deepEqual(result.unparsed, []);
+    assert.deepEqual(result.warnings, [
+        'No credit found; using block time as credit.',
+        'No TAFB found; estimated from first departure to last arrival.'
+    ]);
+
+    const data = pairingParser.toFormData(result);
+    assert.deepEqual([data.printedCreditHours, data.printedTafbHours], ['', '']);
+    assert.equal(data.baseTimeZone, undefined);
+    assert.equal(data.dutyPeriods, undefined);
+    // The 22:30 departure lands in Seattle after midnight
+    assert.deepEqual([data.legs[1].out, data.legs[1].in], ['2027-03-14T22:30', '2027-03-15T00:55']);
+});
+
+test('unknown stations and lines the parser does not understand', () => {
+    const result = parseFixture('unknown-stations.txt');
+
+    assert.equal(result.pairingId, '880');
+    assert.equal(result.tripDate, '2026-11-02');
+    assert.equal(result.baseStation, 'XYZ');
+    assert.deepEqual(legRows(result), [
+        [1, '4410', 'ATL', '0900', 'ZZZ', '1015', false, 75],
+        [1, '4411', 'ZZZ', '1130', 'ATL', '1250', false, 80]
+    ]);
+    assert.deepEqual(dutyRows(result), [[2, 310, 155, 300]]);
+    assert.equal(minutes(result.blockHours), 2 * 60 + 35);
+    assert.equal(minutes(result.creditHours), 5 * 60);
+    // The last departure is from ZZZ, which has no time zone to estimate TAFB in
+    assert.equal(result.tafbHours, 0);
+    assert.equal(result.tripLength, 1);
+    assert.deepEqual(result.unparsed, [
+        { lineNumber: 3, text: 'LOCAL TIMES SHOWN' },
+        { lineNumber: 7, text: 'SEE CREW SCHED' }
+    ]);
+    assert.deepEqual(result.warnings, [
+        'No TAFB found; enter it by hand.',
+        'Unknown station ZZZ: legs to or from it are left out of the totals.',
+        'Base XYZ is not a known station; the base time zone is unchanged.'
+    ]);
+
+    const data = pairingParser.toFormData(result);
+    assert.equal(data.baseTimeZone, undefined);
+    assert.equal(data.tafbHours, undefined);
+    assert.deepEqual([data.printedCreditHours, data.printedTafbHours], ['5.00', '']);
+});
@@ -0,0 +1,286 @@
+// Jumpseat Fox - Pay engine components
+// Dollar amounts are worked by hand from the contract, per diem and tax tables in
+// pay-engine.js. Run with: node --test tests/
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    payEngineHost, PREMIUM_RULES, calculateTripPay, reserveMonth
+} = require('../pay-engine.js');
+
+const dollars = amount => amount.toFixed(2);
+
+// Year 5 on the current contract ($38.25 base), 20h credit over 40h TAFB, no premiums
+const trip = (fields = {}) => ({
+    tripDate: '2026-10-05',
+    payYear: 'Year 5',
+    creditedHoursHours: '20',
+    creditedHoursMinutes: '0',
+    tafbHours: '40',
+    tafbMinutes: '0',
+    tripLength: '3',
+    ...fields
+});
+
+const useProfile = profile => {
+    payEngineHost.getProfile = () => profile;
+};
+
+beforeEach(() => {
+    useProfile({});
+    payEngineHost.getTrips = () => [];
+});
+
+// Base credit
+
+test('base pay is credited hours at the pay year base rate', () => {
+    const calc = calculateTripPay(trip());
+
+    assert.equal(calc.contractName, 'Current Contract');
+    assert.equal(calc.payYear, 'Year 5');
+    assert.equal(calc.baseRate, 38.25);
+    // 20h x $38.25
+    assert.equal(dollars(calc.basePay), '765.00');
+});
+
+test('base pay uses the contract table in force on the trip date', () => {
+    const calc = calculateTripPay(trip({ tripDate: '2027-02-01' }));
+
+    assert.equal(calc.contractName, 'January 2027 Increase');
+    // 20h x $39.40
+    assert.equal(dollars(calc.basePay), '788.00');
+});
+
+test('the profile hire date steps the pay year', () => {
+    useProfile({ hireDate: '2021-03-01' });
+    const calc = calculateTripPay(trip());
+
+    // Five completed years of service on 2026-10-05: 20h x $43.30
+    assert.equal(calc.payYear, 'Year 6');
+    assert.equal(dollars(calc.basePay), '866.00');
+});
+
+// Flags
+
+test('white flag pays half the base pay on top', () => {
+    const calc = calculateTripPay(trip({ whiteFlag: 'Yes' }));
+
+    assert.equal(dollars(calc.basePay), '765.00');
+    assert.equal(dollars(calc.whiteFlagPay), '382.50');
+    assert.equal(dollars(calc.purpleFlagPay), '0.00');
+});
+
+test('purple flag pays its premium less one on top, 1.5 by default', () => {
+    assert.equal(dollars(calculateTripPay(trip({ purpleFlag: 'Yes' })).purpleFlagPay), '382.50');
+
+    const calc = calculateTripPay(trip({ whiteFlag: 'Yes', purpleFlag: 'Yes', purpleFlagPremium: '1.25' }));
+    // $765 x 0.25
+    assert.equal(dollars(calc.purpleFlagPay), '191.25');
+    assert.equal(dollars(calc.whiteFlagPay), '382.50');
+    // $38.25 x 1.5 x 1.25
+    assert.equal(calc.effectiveRate, 71.71875);
+});
+
+// Premiums, one case per PREMIUM_RULES entry
+
+const premiumCases = {
+    // 4h of galley at the $38.25 base rate
+    galleyPay: { fields: { galleyPay: 'Yes', galleyHoursHours: '4', galleyHoursMinutes: '0' }, amount: '153.00' },
+    // 20h credit x $2.50
+    languagePay: { fields: { languagePay: 'Yes' }, amount: '50.00' },
+    // 20h credit x $2.00
+    intlOverridePay: { fields: { intlPayOverride: 'Yes' }, amount: '40.00' }
+};
+
+test('every premium rule has a case', () => {
+    assert.deepEqual(Object.keys(premiumCases), PREMIUM_RULES.map(rule => rule.component));
+});
+
+Object.entries(premiumCases).forEach(([component, { fields, amount }]) => {
+    test(`${component} pays only while switched on`, () => {
+        assert.equal(dollars(calculateTripPay(trip(fields))[component]), amount);
+        assert.equal(dollars(calculateTripPay(trip())[component]), '0.00');
+    });
+});
+
+test('galley flag premiums are itemized on the galley pay', () => {
+    const calc = calculateTripPay(trip({
+        ...premiumCases.galleyPay.fields, whiteFlag: 'Yes', purpleFlag: 'Yes', purpleFlagPremium: '1.25'
+    }));
+
+    assert.equal(dollars(calc.galleyPay), '153.00');
+    assert.equal(dollars(calc.galleyWhiteFlagPay), '76.50');
+    assert.equal(dollars(calc.galleyPurpleFlagPay), '38.25');
+});
+
+test('language and override premiums ignore the flags and follow the contract table', () => {
+    const flagged = calculateTripPay(trip({ languagePay: 'Yes', intlPayOverride: 'Yes', whiteFlag: 'Yes' }));
+    assert.equal(dollars(flagged.languagePay), '50.00');
+    assert.equal(dollars(flagged.intlOverridePay), '40.00');
+
+    const raised = calculateTripPay(trip({ tripDate: '2027-02-01', languagePay: 'Yes', intlPayOverride: 'Yes' }));
+    // 20h x $2.75 and 20h x $2.25
+    assert.equal(dollars(raised.languagePay), '55.00');
+    assert.equal(dollars(raised.intlOverridePay), '45.00');
+});
+
+test('purser pay is paid per U.S. and non-U.S. hour for the aircraft type', () => {
+    const fields = { purserPay: 'Yes', aircraftType: 'Narrow2', purserUSHours: '3', purserNonUSHours: '2' };
+
+    // 3h x $2 + 2h x $3
+    assert.equal(dollars(calculateTripPay(trip(fields)).purserPay), '12.00');
+    // 3h x $2.25 + 2h x $3.25
+    assert.equal(dollars(calculateTripPay(trip({ ...fields, tripDate: '2027-02-01' })).purserPay), '13.25');
+});
+
+// Per diem
+
+test('a trip without legs is paid per diem on its TAFB at one rate', () => {
+    // 40h x $2.40 domestic
+    assert.equal(dollars(calculateTripPay(trip()).perDiem), '96.00');
+    // 40h x $2.90 international
+    assert.equal(dollars(calculateTripPay(trip({ intlOverride: 'Yes' })).perDiem), '116.00');
+});
+
+test('a trip with legs splits per diem by region', () => {
+    const calc = calculateTripPay(trip({
+        baseTimeZone: 'America/Denver',
+        legs: [
+            // 14:00Z to 16:30Z
+            { flightNumber: '301', origin: 'DEN', destination: 'LAX', out: '2026-10-05T08:00', in: '2026-10-05T09:30' },
+            // 01:00Z to 11:00Z
+            { flightNumber: '82', origin: 'LAX', destination: 'LHR', out: '2026-10-05T18:00', in: '2026-10-06T12:00' }
+        ]
+    }));
+
+    assert.equal(calc.dutyHours, 21);
+    // Domestic: 2.5h DEN-LAX block and 8.5h on the ground at LAX, x $2.40.
+    // International: the 10h LAX-LHR block goes to the higher-paying end, x $2.90.
+    assert.deepEqual(calc.perDiemBreakdown.map(line => [line.name, line.hours, dollars(line.amount)]), [
+        ['Domestic', 11, '26.40'],
+        ['International', 10, '29.00']
+    ]);
+    assert.equal(dollars(calc.perDiem), '55.40');
+});
+
+// Holiday
+
+test('typed holiday hours are paid at the credit-per-TAFB hourly rate', () => {
+    const calc = calculateTripPay(trip({ holidayPay: 'Yes', holidayHours: '10' }));
+
+    // $38.25 x 20h / 40h = $19.125 an hour, x 10h
+    assert.equal(dollars(calc.holidayPay), '191.25');
+    assert.equal(dollars(calculateTripPay(trip({ holidayHours: '10' })).holidayPay), '0.00');
+});
+
+test('report and release times pay each holiday from the contract calendar', () => {
+    const christmas = {
+        tripDate: '2026-12-24',
+        baseTimeZone: 'America/Chicago',
+        reportTime: '2026-12-24T18:00',
+        releaseTime: '2026-12-26T06:00'
+    };
+    const calc = calculateTripPay(trip({ ...christmas, holidayPay: 'Yes' }));
+
+    assert.equal(calc.dutyHours, 36);
+    // $38.25 x 20h / 36h = $21.25 an hour; Christmas Eve from 18:00, all of Christmas Day
+    assert.deepEqual(calc.holidayBreakdown.map(holiday => [holiday.name, holiday.hours, dollars(holiday.pay)]), [
+        ['Christmas Eve', 6, '127.50'],
+        ['Christmas Day', 24, '510.00']
+    ]);
+    assert.equal(dollars(calc.holidayPay), '637.50');
+    assert.equal(dollars(calculateTripPay(trip(christmas)).holidayPay), '0.00');
+});
+
+// Withholding. Gross is $765 base and $96 per diem; per diem is not wages.
+
+test('withholding taxes the trip at the margin of the year\'s other wages', () => {
+    useProfile({ filingStatus: 'single', annualWages: '40000', stateTaxRate: '5' });
+    const { withholding, netPayEstimate } = calculateTripPay(trip());
+
+    assert.equal(dollars(withholding.wages), '765.00');
+    // $23,900 taxable already in the 12% bracket
+    assert.equal(dollars(withholding.federal), '91.80');
+    assert.equal(dollars(withholding.socialSecurity), '47.43');
+    assert.equal(dollars(withholding.medicare), '11.09');
+    assert.equal(dollars(withholding.state), '38.25');
+    assert.equal(dollars(withholding.total), '188.57');
+    assert.equal(dollars(netPayEstimate), '672.43');
+});
+
+test('withholding splits the trip across a federal bracket', () => {
+    useProfile({ filingStatus: 'single', annualWages: '66000' });
+
+    // $49,900 taxable before the trip: $500 at 12%, $265 at 22%
+    assert.equal(dollars(calculateTripPay(trip()).withholding.federal), '118.30');
+});
+
+test('pre-tax 401(k) deferrals come out before income tax but not FICA', () => {
+    useProfile({ filingStatus: 'single', annualWages: '40000', stateTaxRate: '4', retirementPercentage: '10' });
+    const { withholding, netPayEstimate } = calculateTripPay(trip(), { priorDeferrals: 0 });
+
+    assert.equal(dollars(withholding.retirement.deferral), '76.50');
+    assert.equal(dollars(withholding.taxableWages), '688.50');
+    assert.equal(dollars(withholding.federal), '82.62');
+    assert.equal(dollars(withholding.socialSecurity), '47.43');
+    assert.equal(dollars(withholding.state), '27.54');
+    assert.equal(dollars(withholding.total), '245.18');
+    assert.equal(dollars(netPayEstimate), '615.82');
+});
+
+test('deferrals stop at the annual limit', () => {
+    useProfile({ retirementPercentage: '10', annualDeferralLimit: '24500' });
+    const { retirement } = calculateTripPay(trip(), { priorDeferrals: 24450 }).withholding;
+
+    assert.equal(dollars(retirement.deferral), '50.00');
+    assert.equal(retirement.limitReached, true);
+});
+
+test('trips saved before the tax engine withhold their flat rate', () => {
+    const { withholding, netPayEstimate } = calculateTripPay(trip({ taxRate: '20' }));
+
+    assert.equal(dollars(withholding.flatTax), '153.00');
+    assert.equal(dollars(netPayEstimate), '708.00');
+});
+
+// Reserve
+
+test('a reserve month under its guarantee is paid the guarantee', () => {
+    const month = reserveMonth.calculate({ month: '2026-10', reserveDays: '12', guaranteeHours: '' }, [trip()]);
+
+    // 75h prorated over 12 of 18 reserve days, x $38.25
+    assert.equal(month.guaranteeHours, 50);
+    assert.equal(dollars(month.guaranteedPay), '1912.50');
+    assert.equal(dollars(month.creditPay), '765.00');
+    assert.equal(month.isAboveGuarantee, false);
+    // Guarantee plus the assignment's per diem
+    assert.equal(dollars(month.monthPay), '2008.50');
+});
+
+test('reserve premiums and per diem are paid on top of the guarantee', () => {
+    const month = reserveMonth.calculate({ month: '2026-10', reserveDays: '12', guaranteeHours: '' },
+        [trip({ languagePay: 'Yes' })]);
+
+    assert.equal(dollars(month.premiumPay), '50.00');
+    assert.equal(dollars(month.monthPay), '2058.50');
+});
+
+test('reserve credit above the guarantee is paid in full', () => {
+    const month = reserveMonth.calculate({ month: '2026-10', reserveDays: '20', guaranteeHours: '' },
+        [trip({ creditedHoursHours: '80' })]);
+
+    // A full month of reserve days caps the guarantee at 75h
+    assert.equal(month.guaranteeHours, 75);
+    assert.equal(dollars(month.guaranteedPay), '2868.75');
+    assert.equal(month.hoursOverGuarantee, 5);
+    assert.equal(month.isAboveGuarantee, true);
+    // 80h x $38.25 plus $96 per diem
+    assert.equal(dollars(month.monthPay), '3156.00');
+});
+
+test('a typed reserve guarantee wins, zero included', () => {
+    const month = reserveMonth.calculate({ month: '2026-10', reserveDays: '12', guaranteeHours: '0' }, [trip()]);
+
+    assert.equal(dollars(month.guaranteedPay), '0.00');
+    assert.equal(dollars(month.monthPay), '861.00');
+});